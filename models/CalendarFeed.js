@@ -0,0 +1,88 @@
+// models/CalendarFeed.js - FEEDS iCALENDAR (.ics) PROTEGIDOS POR TOKEN
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const calendarFeedSchema = new mongoose.Schema({
+  nome: {
+    type: String,
+    required: [true, 'Nome do feed é obrigatório'],
+    trim: true,
+    maxlength: [80, 'Nome não pode ter mais de 80 caracteres']
+  },
+
+  // ✅ ESCOPO: motel inteiro, um quarto ou um tipo de quarto
+  escopo: {
+    type: String,
+    enum: {
+      values: ['property', 'room', 'roomType'],
+      message: 'Escopo deve ser property, room ou roomType'
+    },
+    default: 'property'
+  },
+
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    default: null
+  },
+
+  roomTypeId: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+
+  // Aplicativos de calendário não enviam cabeçalho Authorization: o token vai na URL
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => crypto.randomBytes(24).toString('hex')
+  },
+
+  ativo: {
+    type: Boolean,
+    default: true
+  },
+
+  ultimoAcesso: {
+    type: Date,
+    default: null
+  },
+
+  criadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  revogadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+calendarFeedSchema.pre('validate', function(next) {
+  if (this.escopo === 'room' && !this.roomId) {
+    this.invalidate('roomId', 'Quarto é obrigatório para feeds por quarto');
+  }
+
+  if (this.escopo === 'roomType' && !this.roomTypeId) {
+    this.invalidate('roomTypeId', 'Tipo de quarto é obrigatório para feeds por tipo');
+  }
+
+  next();
+});
+
+// ✅ FEED ATIVO PELO TOKEN (COM O USUÁRIO QUE O CRIOU)
+calendarFeedSchema.statics.findAtivoPorToken = function(token) {
+  return this.findOne({ token, ativo: true }).populate('criadoPor');
+};
+
+calendarFeedSchema.index({ criadoPor: 1, ativo: 1 });
+
+module.exports = mongoose.models.CalendarFeed || mongoose.model('CalendarFeed', calendarFeedSchema);
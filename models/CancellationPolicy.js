@@ -0,0 +1,71 @@
+// models/CancellationPolicy.js - POLÍTICAS DE CANCELAMENTO E REEMBOLSO
+const mongoose = require('mongoose');
+
+const cancellationPolicySchema = new mongoose.Schema({
+  nome: {
+    type: String,
+    required: [true, 'Nome da política é obrigatório'],
+    trim: true,
+    maxlength: [80, 'Nome não pode ter mais de 80 caracteres']
+  },
+
+  // Escopo: null aplica a todos os períodos
+  periodoId: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+
+  // ✅ REEMBOLSO INTEGRAL: cancelamentos com pelo menos N horas de antecedência
+  horasReembolsoIntegral: {
+    type: Number,
+    required: [true, 'Antecedência para reembolso integral é obrigatória'],
+    min: [0, 'Antecedência não pode ser negativa']
+  },
+
+  // ✅ REEMBOLSO PARCIAL: depois do prazo acima, até o horário do check-in
+  percentualReembolsoParcial: {
+    type: Number,
+    min: [0, 'Percentual não pode ser negativo'],
+    max: [100, 'Percentual não pode passar de 100'],
+    default: 0
+  },
+
+  // Walk-ins (origem "walk-in") não têm reembolso, a menos que liberado aqui (reembolso integral)
+  reembolsarWalkIn: {
+    type: Boolean,
+    default: false
+  },
+
+  ativo: {
+    type: Boolean,
+    default: true
+  },
+
+  criadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  atualizadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// ✅ POLÍTICA MAIS ESPECÍFICA: período > geral
+cancellationPolicySchema.statics.buscarPoliticaAplicavel = async function(periodoId, { session } = {}) {
+  const politicas = await this.find({
+    ativo: true,
+    periodoId: { $in: [periodoId, null] }
+  }).session(session || null);
+
+  return politicas.sort((a, b) => (b.periodoId ? 1 : 0) - (a.periodoId ? 1 : 0))[0] || null;
+};
+
+cancellationPolicySchema.index({ ativo: 1, periodoId: 1 });
+
+module.exports = mongoose.models.CancellationPolicy || mongoose.model('CancellationPolicy', cancellationPolicySchema);
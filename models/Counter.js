@@ -0,0 +1,20 @@
+// models/Counter.js - CONTADORES ATÔMICOS DAS SEQUÊNCIAS (utils/sequence.js)
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+  // Chave da sequência + período de reinício (ex: 'reservation:20241208')
+  _id: {
+    type: String,
+    required: true
+  },
+
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+module.exports = mongoose.models.Counter || mongoose.model('Counter', counterSchema);
@@ -0,0 +1,153 @@
+// models/Coupon.js - CUPONS PROMOCIONAIS (HOSPEDAGEM E PEDIDOS)
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  codigo: {
+    type: String,
+    required: [true, 'Código do cupom é obrigatório'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    validate: {
+      validator: (v) => /^[A-Z0-9_-]{3,30}$/.test(v),
+      message: 'Código deve ter de 3 a 30 letras, números, hífen ou underscore'
+    }
+  },
+
+  descricao: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Descrição não pode ter mais de 200 caracteres']
+  },
+
+  // reserva: abate do preço da estadia | pedido: abate dos itens do pedido
+  aplicaEm: {
+    type: String,
+    enum: {
+      values: ['reserva', 'pedido'],
+      message: 'Cupom deve valer para reserva ou pedido'
+    },
+    required: [true, 'Informe se o cupom vale para reserva ou pedido']
+  },
+
+  // ✅ DESCONTO
+  tipoDesconto: {
+    type: String,
+    enum: {
+      values: ['percentual', 'valor_fixo'],
+      message: 'Tipo de desconto deve ser percentual ou valor_fixo'
+    },
+    required: [true, 'Tipo de desconto é obrigatório']
+  },
+
+  valor: {
+    type: Number,
+    required: [true, 'Valor do desconto é obrigatório'],
+    min: [0, 'Valor do desconto não pode ser negativo']
+  },
+
+  // Teto do desconto em R$ (ex: 100% em bebidas limitado a uma dose de R$ 15)
+  descontoMaximo: {
+    type: Number,
+    min: [0, 'Desconto máximo não pode ser negativo'],
+    default: null
+  },
+
+  // ✅ ESCOPO (LISTAS VAZIAS = TODOS)
+  periodoIds: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+
+  // Tipo do quarto da reserva (também restringe cupons de pedido: "drink grátis na suíte")
+  roomTypeIds: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+
+  // Só para pedidos: o desconto incide apenas sobre itens destas categorias
+  categoriaIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductCategory'
+  }],
+
+  // Dias da semana (0 = domingo ... 6 = sábado) do check-in / do pedido
+  diasSemana: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+
+  validoDe: {
+    type: Date,
+    default: null
+  },
+
+  validoAte: {
+    type: Date,
+    default: null
+  },
+
+  // ✅ LIMITES DE USO (null = ilimitado)
+  limiteUsos: {
+    type: Number,
+    min: [1, 'Limite de usos deve ser pelo menos 1'],
+    default: null
+  },
+
+  limitePorCliente: {
+    type: Number,
+    min: [1, 'Limite por cliente deve ser pelo menos 1'],
+    default: null
+  },
+
+  // Resgates ativos (estornos devolvem o uso)
+  usos: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  ativo: {
+    type: Boolean,
+    default: true
+  },
+
+  criadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  atualizadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.pre('validate', function(next) {
+  if (this.tipoDesconto === 'percentual' && this.valor > 100) {
+    this.invalidate('valor', 'Desconto percentual não pode passar de 100%');
+  }
+
+  if (this.aplicaEm === 'reserva' && this.categoriaIds?.length > 0) {
+    this.invalidate('categoriaIds', 'Categorias de produto só se aplicam a cupons de pedido');
+  }
+
+  if (this.validoDe && this.validoAte && this.validoAte <= this.validoDe) {
+    this.invalidate('validoAte', 'Fim da validade deve ser posterior ao início');
+  }
+
+  next();
+});
+
+couponSchema.statics.findPorCodigo = function(codigo, { session = null } = {}) {
+  return this.findOne({ codigo: String(codigo || '').trim().toUpperCase() }).session(session);
+};
+
+couponSchema.index({ ativo: 1, validoAte: 1 });
+
+module.exports = mongoose.models.Coupon || mongoose.model('Coupon', couponSchema);
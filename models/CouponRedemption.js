@@ -0,0 +1,81 @@
+// models/CouponRedemption.js - RESGATES DE CUPONS (UM POR RESERVA OU PEDIDO)
+const mongoose = require('mongoose');
+
+const couponRedemptionSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+
+  codigo: {
+    type: String,
+    required: true
+  },
+
+  tipo: {
+    type: String,
+    enum: ['reserva', 'pedido'],
+    required: true
+  },
+
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: true
+  },
+
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+
+  valorBase: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+
+  valorDesconto: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+
+  // estornado: reserva / pedido cancelado, o uso volta para o cupom
+  status: {
+    type: String,
+    enum: ['aplicado', 'estornado'],
+    default: 'aplicado'
+  },
+
+  usadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  estornadoEm: {
+    type: Date,
+    default: null
+  },
+
+  estornadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+couponRedemptionSchema.index({ couponId: 1, status: 1, customerId: 1 });
+couponRedemptionSchema.index({ reservationId: 1, orderId: 1, status: 1 });
+
+module.exports = mongoose.models.CouponRedemption || mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -0,0 +1,125 @@
+// models/Holiday.js - CALENDÁRIO DE FERIADOS (NACIONAIS, ESTADUAIS E MUNICIPAIS)
+const mongoose = require('mongoose');
+
+const holidaySchema = new mongoose.Schema({
+  nome: {
+    type: String,
+    required: [true, 'Nome do feriado é obrigatório'],
+    trim: true,
+    maxlength: [100, 'Nome não pode ter mais de 100 caracteres']
+  },
+
+  dia: {
+    type: Number,
+    required: [true, 'Dia é obrigatório'],
+    min: [1, 'Dia inválido'],
+    max: [31, 'Dia inválido']
+  },
+
+  mes: {
+    type: Number,
+    required: [true, 'Mês é obrigatório'],
+    min: [1, 'Mês inválido'],
+    max: [12, 'Mês inválido']
+  },
+
+  // Recorrente: repete todo ano no mesmo dia/mês. Data única: vale só no ano informado
+  recorrente: {
+    type: Boolean,
+    default: true
+  },
+
+  ano: {
+    type: Number,
+    min: [2000, 'Ano inválido'],
+    required: [function() { return !this.recorrente; }, 'Ano é obrigatório para feriados de data única'],
+    default: null
+  },
+
+  // ✅ ABRANGÊNCIA: estaduais e municipais só valem para a UF / município do motel
+  abrangencia: {
+    type: String,
+    enum: {
+      values: ['nacional', 'estadual', 'municipal'],
+      message: 'Abrangência deve ser nacional, estadual ou municipal'
+    },
+    default: 'nacional'
+  },
+
+  uf: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [2, 'UF deve ter 2 letras'],
+    required: [function() { return this.abrangencia !== 'nacional'; }, 'UF é obrigatória para feriados estaduais e municipais'],
+    default: null
+  },
+
+  municipio: {
+    type: String,
+    trim: true,
+    required: [function() { return this.abrangencia === 'municipal'; }, 'Município é obrigatório para feriados municipais'],
+    default: null
+  },
+
+  // padrao = carga inicial dos nacionais, legado = importado da antiga variável FERIADOS
+  origem: {
+    type: String,
+    enum: ['manual', 'csv', 'ical', 'padrao', 'legado'],
+    default: 'manual'
+  },
+
+  ativo: {
+    type: Boolean,
+    default: true
+  },
+
+  criadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  atualizadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Recorrente vale todo ano: o ano informado é descartado
+holidaySchema.pre('validate', function(next) {
+  if (this.recorrente) {
+    this.ano = null;
+  }
+  next();
+});
+
+// ✅ FERIADOS QUE CAEM NA DATA (HORÁRIO LOCAL) PARA A LOCALIDADE INFORMADA
+holidaySchema.statics.buscarNaData = function(data, { uf = null, municipio = null, session = null } = {}) {
+  const momento = new Date(data);
+
+  const abrangencias = [{ abrangencia: 'nacional' }];
+  if (uf) {
+    abrangencias.push({ abrangencia: 'estadual', uf: uf.toUpperCase() });
+    if (municipio) {
+      abrangencias.push({ abrangencia: 'municipal', uf: uf.toUpperCase(), municipio });
+    }
+  }
+
+  return this.find({
+    ativo: true,
+    dia: momento.getDate(),
+    mes: momento.getMonth() + 1,
+    $and: [
+      { $or: [{ recorrente: true }, { ano: momento.getFullYear() }] },
+      { $or: abrangencias }
+    ]
+  }).session(session);
+};
+
+holidaySchema.index({ mes: 1, dia: 1, ativo: 1 });
+// Uma data por abrangência/localidade (chave do upsert da importação - utils/holidays.js)
+holidaySchema.index({ mes: 1, dia: 1, ano: 1, abrangencia: 1, uf: 1, municipio: 1 }, { unique: true });
+
+module.exports = mongoose.models.Holiday || mongoose.model('Holiday', holidaySchema);
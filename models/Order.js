@@ -1,12 +1,15 @@
 // models/Order.js - Modelo de pedido (frigobar/restaurante)
 
 const mongoose = require('mongoose');
+const Turno = require('./Turno');
+const { proximoNumero } = require('../utils/sequence');
 
 const orderSchema = new mongoose.Schema({
   orderNumber: {
     type: String,
     unique: true,
-    required: true
+    // Gerado no último pre('save'), depois da validação (ver abaixo)
+    required: function() { return !this.isNew; }
   },
   reservationId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -59,6 +62,8 @@ const orderSchema = new mongoose.Schema({
     subtotal: { type: Number, required: true, min: 0 },
     discountAmount: { type: Number, default: 0 },
     discountPercentage: { type: Number, default: 0 },
+    // Cupom que gerou o desconto (utils/coupons.js)
+    couponCode: { type: String, default: null },
     serviceCharge: { type: Number, default: 0 },
     tax: { type: Number, default: 0 },
     total: { type: Number, required: true, min: 0 }
@@ -104,10 +109,27 @@ const orderSchema = new mongoose.Schema({
     paidAt: {
       type: Date
     },
+    // Turno em que o pagamento foi recebido (pode ser outro que o do lançamento)
+    turnoInfo: {
+      turnoId: { type: String, default: null },
+      turnoNome: { type: String, default: null }
+    },
     transactionId: {
       type: String
     }
   },
+  // ✅ TURNO EM QUE O PEDIDO FOI LANÇADO (models/Turno.js)
+  turnoInfo: {
+    turnoId: {
+      type: String,
+      default: null,
+      index: true
+    },
+    turnoNome: {
+      type: String,
+      default: null
+    }
+  },
   customerInfo: {
     specialRequests: {
       type: String,
@@ -165,32 +187,6 @@ const orderSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Middleware para gerar número do pedido
-orderSchema.pre('save', async function(next) {
-  if (this.isNew && !this.orderNumber) {
-    const date = new Date();
-    const year = date.getFullYear().toString().substr(-2);
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    
-    // Buscar último número do pedido do dia
-    const lastOrder = await this.constructor
-      .findOne({
-        orderNumber: new RegExp(`^ORD${year}${month}${day}`)
-      })
-      .sort({ orderNumber: -1 });
-    
-    let sequence = 1;
-    if (lastOrder) {
-      const lastSequence = parseInt(lastOrder.orderNumber.substr(-4));
-      sequence = lastSequence + 1;
-    }
-    
-    this.orderNumber = `ORD${year}${month}${day}${String(sequence).padStart(4, '0')}`;
-  }
-  next();
-});
-
 // Middleware para calcular preços
 orderSchema.pre('save', function(next) {
   // Calcular total dos itens
@@ -235,8 +231,35 @@ orderSchema.pre('save', function(next) {
   next();
 });
 
+// Middleware para registrar quando e em qual turno o pedido foi pago
+// (o fechamento do caixa soma o pedido no turno do pagamento - utils/turno.js)
+orderSchema.pre('save', async function() {
+  if (!this.isModified('paymentInfo.status') || this.paymentInfo.status !== 'paid') return;
+
+  if (!this.paymentInfo.paidAt) {
+    this.paymentInfo.paidAt = new Date();
+  }
+
+  if (!this.paymentInfo.turnoInfo?.turnoId) {
+    const turno = await Turno.findAberto().session(this.$session());
+    if (turno) {
+      this.paymentInfo.turnoInfo = { turnoId: turno._id.toString(), turnoNome: turno.nome };
+    }
+  }
+});
+
+// Middleware para gerar número do pedido
+// Último passo antes de gravar, para uma falha de validação não queimar o número
+orderSchema.pre('save', async function() {
+  if (this.isNew && !this.orderNumber) {
+    // Contador atômico por dia (utils/sequence.js) - ex: ORD2412080001
+    this.orderNumber = await proximoNumero('order', { session: this.$session() });
+  }
+});
+
 // Índices para melhor performance
 orderSchema.index({ orderNumber: 1 });
+orderSchema.index({ 'paymentInfo.turnoInfo.turnoId': 1 });
 orderSchema.index({ reservationId: 1 });
 orderSchema.index({ customerId: 1 });
 orderSchema.index({ roomNumber: 1 });
@@ -0,0 +1,93 @@
+// models/OverstayRule.js - REGRAS DE COBRANÇA DE HORA EXTRA (PERMANÊNCIA APÓS O CHECK-OUT)
+const mongoose = require('mongoose');
+
+const overstayRuleSchema = new mongoose.Schema({
+  nome: {
+    type: String,
+    required: [true, 'Nome da regra é obrigatório'],
+    trim: true,
+    maxlength: [80, 'Nome não pode ter mais de 80 caracteres']
+  },
+
+  // Escopo: null aplica a todos os períodos / tipos de quarto
+  periodoId: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+
+  roomTypeId: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+
+  // Minutos de tolerância antes de começar a cobrar
+  toleranciaMinutos: {
+    type: Number,
+    min: [0, 'Tolerância não pode ser negativa'],
+    default: 15
+  },
+
+  precoHoraExtra: {
+    type: Number,
+    required: [true, 'Preço da hora extra é obrigatório'],
+    min: [0, 'Preço não pode ser negativo']
+  },
+
+  // true: fração de hora é cobrada como hora cheia
+  cobrarFracao: {
+    type: Boolean,
+    default: true
+  },
+
+  // ✅ LIMITE: acima de limiteHoras a cobrança é limitada à diferença para o próximo período
+  limiteHoras: {
+    type: Number,
+    min: [1, 'Limite deve ser de pelo menos 1 hora'],
+    default: null
+  },
+
+  proximoPeriodo: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+
+  ativo: {
+    type: Boolean,
+    default: true
+  },
+
+  criadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  atualizadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// ✅ REGRA MAIS ESPECÍFICA: período + tipo > tipo > período > geral
+overstayRuleSchema.statics.buscarRegraAplicavel = async function(periodoId, roomTypeId) {
+  const regras = await this.find({
+    ativo: true,
+    periodoId: { $in: [periodoId, null] },
+    roomTypeId: { $in: [roomTypeId, null] }
+  });
+
+  const pontuar = (regra) => (regra.roomTypeId ? 2 : 0) + (regra.periodoId ? 1 : 0);
+
+  return regras.sort((a, b) => pontuar(b) - pontuar(a))[0] || null;
+};
+
+overstayRuleSchema.index({ ativo: 1, periodoId: 1, roomTypeId: 1 });
+
+module.exports = mongoose.models.OverstayRule || mongoose.model('OverstayRule', overstayRuleSchema);
@@ -77,6 +77,21 @@ const periodSchema = new mongoose.Schema({
     feriado: { type: Boolean, default: true }
   },
 
+  // Chegada antes do horário de check-in (pernoite / diária): permitir sem custo,
+  // cobrar precoHora por hora antecipada (fração conta como hora cheia) ou recusar
+  chegadaAntecipada: {
+    politica: {
+      type: String,
+      enum: {
+        values: ['permitir', 'cobrar', 'recusar'],
+        message: 'Política de chegada antecipada deve ser: permitir, cobrar ou recusar'
+      },
+      default: 'permitir'
+    },
+    toleranciaMinutos: { type: Number, min: 0, default: 0 },
+    precoHora: { type: Number, min: [0, 'Preço por hora não pode ser negativo'], default: 0 }
+  },
+
   // Descrição e instruções
   descricao: {
     type: String,
@@ -0,0 +1,160 @@
+// models/PricingRule.js - REGRAS DE PREÇO DINÂMICO (DIA DA SEMANA, HORÁRIO, FERIADO E TIPO DE QUARTO)
+const mongoose = require('mongoose');
+
+const HORARIO_REGEX = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const horarioValido = {
+  validator: (v) => !v || HORARIO_REGEX.test(v),
+  message: 'Horário deve estar no formato HH:MM (24h)'
+};
+
+// Ponto da semana: dia (0 = domingo ... 6 = sábado) + horário
+const pontoDaSemanaSchema = new mongoose.Schema({
+  dia: { type: Number, min: 0, max: 6, required: true },
+  hora: { type: String, default: '00:00', validate: horarioValido }
+}, { _id: false });
+
+const pricingRuleSchema = new mongoose.Schema({
+  nome: {
+    type: String,
+    required: [true, 'Nome da regra é obrigatório'],
+    trim: true,
+    maxlength: [80, 'Nome não pode ter mais de 80 caracteres']
+  },
+
+  // ✅ ESCOPO (LISTAS VAZIAS = TODOS)
+  periodoIds: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+
+  roomTypeIds: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+
+  // ✅ CONDIÇÕES SOBRE O HORÁRIO DE CHECK-IN
+  // Dias da semana (0 = domingo ... 6 = sábado)
+  diasSemana: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+
+  // Faixa do dia; fim menor que o início atravessa a meia-noite (ex: 22:00 às 06:00)
+  horario: {
+    inicio: { type: String, validate: horarioValido },
+    fim: { type: String, validate: horarioValido }
+  },
+
+  // Janela semanal contínua (ex: sexta 18:00 até domingo 06:00)
+  janelaSemanal: {
+    inicio: { type: pontoDaSemanaSchema, default: undefined },
+    fim: { type: pontoDaSemanaSchema, default: undefined }
+  },
+
+  feriado: {
+    type: String,
+    enum: {
+      values: ['indiferente', 'apenas', 'exceto'],
+      message: 'Feriado deve ser indiferente, apenas ou exceto'
+    },
+    default: 'indiferente'
+  },
+
+  validoDe: {
+    type: Date,
+    default: null
+  },
+
+  validoAte: {
+    type: Date,
+    default: null
+  },
+
+  // ✅ AJUSTE
+  // percentual: +20 / -10 sobre o preço | valor_fixo: soma R$ | preco_fixo: substitui o preço
+  tipoAjuste: {
+    type: String,
+    enum: {
+      values: ['percentual', 'valor_fixo', 'preco_fixo'],
+      message: 'Tipo de ajuste deve ser percentual, valor_fixo ou preco_fixo'
+    },
+    required: [true, 'Tipo de ajuste é obrigatório']
+  },
+
+  valor: {
+    type: Number,
+    required: [true, 'Valor do ajuste é obrigatório']
+  },
+
+  // Maior prioridade é avaliada primeiro; uma regra exclusiva encerra a avaliação
+  prioridade: {
+    type: Number,
+    default: 0
+  },
+
+  exclusiva: {
+    type: Boolean,
+    default: false
+  },
+
+  ativo: {
+    type: Boolean,
+    default: true
+  },
+
+  criadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  atualizadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+pricingRuleSchema.pre('validate', function(next) {
+  if (this.tipoAjuste === 'preco_fixo' && this.valor < 0) {
+    this.invalidate('valor', 'Preço fixo não pode ser negativo');
+  }
+
+  const { inicio, fim } = this.horario || {};
+  if (Boolean(inicio) !== Boolean(fim)) {
+    this.invalidate('horario', 'Informe início e fim da faixa de horário');
+  }
+
+  const janela = this.janelaSemanal || {};
+  if (Boolean(janela.inicio) !== Boolean(janela.fim)) {
+    this.invalidate('janelaSemanal', 'Informe início e fim da janela semanal');
+  }
+
+  if (this.validoDe && this.validoAte && this.validoAte <= this.validoDe) {
+    this.invalidate('validoAte', 'Fim da vigência deve ser posterior ao início');
+  }
+
+  next();
+});
+
+// ✅ REGRAS ATIVAS QUE PODEM VALER PARA O PERÍODO / TIPO (AS DEMAIS CONDIÇÕES SÃO AVALIADAS EM utils/pricingRules.js)
+// roomTypeId aceita um id ou uma lista (busca única para vários tipos de quarto)
+pricingRuleSchema.statics.buscarCandidatas = function({ periodoId, roomTypeId, session = null }) {
+  return this.find({
+    ativo: true,
+    $and: [
+      { $or: [{ periodoIds: { $size: 0 } }, { periodoIds: periodoId }] },
+      { $or: [{ roomTypeIds: { $size: 0 } }, { roomTypeIds: { $in: [].concat(roomTypeId) } }] }
+    ]
+  })
+    .sort({ prioridade: -1, createdAt: 1 })
+    .session(session);
+};
+
+pricingRuleSchema.index({ ativo: 1, prioridade: -1 });
+
+module.exports = mongoose.models.PricingRule || mongoose.model('PricingRule', pricingRuleSchema);
@@ -1,6 +1,8 @@
 // models/Reservation.js - MODELO COMPLETO CORRIGIDO COM ENUM DINÂMICO
 
 const mongoose = require('mongoose');
+const { proximoNumero } = require('../utils/sequence');
+const ReservationHistory = require('./ReservationHistory');
 
 // ✅ FUNÇÃO PARA BUSCAR PERÍODOS VÁLIDOS DO MONGODB
 const obterPeriodosValidos = async () => {
@@ -24,11 +26,14 @@ const obterPeriodosValidos = async () => {
       isActive: { $ne: false }
     }).distinct('periodType');
     
-    console.log('✅ Períodos válidos do MongoDB:', periodos);
+    // Períodos cadastrados pelo modelo Period (id: '4h', 'diaria', 'pernoite'...)
+    const periodosPorId = await Period.find({ ativo: true }).distinct('id');
+    
+    console.log('✅ Períodos válidos do MongoDB:', [...periodos, ...periodosPorId]);
     
     // Garantir que temos pelo menos os básicos
     const periodosBasicos = ['3h', '4h', '6h', '12h', 'daily', 'pernoite'];
-    const todosOsPeriodos = [...new Set([...periodosBasicos, ...periodos])];
+    const todosOsPeriodos = [...new Set([...periodosBasicos, ...periodos, ...periodosPorId])];
     
     return todosOsPeriodos;
     
@@ -45,7 +50,8 @@ const reservationSchema = new mongoose.Schema({
   reservationNumber: {
     type: String,
     unique: true,
-    required: true
+    // Gerado no último pre('save'), depois da validação (ver abaixo)
+    required: function() { return !this.isNew; }
   },
 
   // ✅ DADOS DO CLIENTE
@@ -71,6 +77,32 @@ const reservationSchema = new mongoose.Schema({
     trim: true, 
     default: '' 
   },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+
+  // ✅ HÓSPEDES (TITULAR + ACOMPANHANTES - utils/guests.js)
+  guestCount: {
+    type: Number,
+    min: [1, 'Reserva deve ter pelo menos 1 hóspede'],
+    max: [10, 'Máximo de 10 hóspedes'],
+    default: 1
+  },
+  companions: {
+    type: [{
+      name: { type: String, required: true, trim: true, maxlength: 100 },
+      document: { type: String, trim: true, default: '' },
+      birthDate: { type: Date, default: null }
+    }],
+    validate: {
+      validator: function(companions) {
+        return companions.length <= (this.guestCount || 1) - 1;
+      },
+      message: 'Número de acompanhantes maior que a quantidade de hóspedes'
+    }
+  },
   
   // ✅ DADOS DO QUARTO
   roomId: { 
@@ -93,6 +125,26 @@ const reservationSchema = new mongoose.Schema({
     required: true 
   },
   
+  // ✅ HORÁRIOS REAIS E RESPONSÁVEIS (PREENCHIDOS NO CHECK-IN/CHECK-OUT)
+  actualCheckIn: {
+    type: Date,
+    default: null
+  },
+  actualCheckOut: {
+    type: Date,
+    default: null
+  },
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  checkedOutBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  
   // ✅ PERÍODO - VALIDAÇÃO DINÂMICA BASEADA NO MONGODB
   periodType: { 
     type: String,
@@ -127,23 +179,209 @@ const reservationSchema = new mongoose.Schema({
     type: String, 
     default: '4 HORAS' 
   },
+  // ✅ RESERVA EM GRUPO (models/ReservationGroup.js)
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReservationGroup',
+    default: null
+  },
+  // ✅ CONTEXTO DA RESERVA (MESMOS VALORES DE RoomType.findDisponivelParaPeriodo)
+  contexto: {
+    type: String,
+    enum: ['hoje', 'agendado'],
+    default: 'hoje'
+  },
+  // Canal da venda: walk-in = cliente sem reserva atendido no balcão (utils/walkIn.js)
+  origem: {
+    type: String,
+    enum: ['reserva', 'walk-in'],
+    default: 'reserva'
+  },
+  // Sem valor padrão: o preço vem de utils/pricing.js ou é informado explicitamente
   basePrice: { 
     type: Number, 
     required: true,
-    min: 0,
-    default: 50.00 
+    min: 0
   },
   totalPrice: { 
     type: Number, 
     required: true,
-    min: 0,
-    default: 50.00 
+    min: 0
+  },
+  // ✅ REGRAS DE PREÇO DINÂMICO QUE FORMARAM O basePrice (utils/pricingRules.js)
+  appliedPricingRules: [{
+    _id: false,
+    ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'PricingRule' },
+    nome: String,
+    tipoAjuste: String,
+    valor: Number,
+    precoAntes: Number,
+    precoDepois: Number
+  }],
+  
+  // ✅ COBRANÇAS ADICIONAIS (SOMADAS AO totalPrice)
+  charges: [{
+    type: {
+      type: String,
+      enum: ['overstay', 'extension', 'period_change', 'room_transfer', 'no_show', 'cancellation', 'extra_guest', 'early_arrival'],
+      required: true
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    amount: {
+      type: Number,
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  
+  // ✅ DESCONTOS CONCEDIDOS (ABATIDOS DO totalPrice)
+  discounts: [{
+    description: {
+      type: String,
+      trim: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  
+  // ✅ LIVRO DE PAGAMENTOS (FOLIO - utils/folio.js)
+  // payment soma, change (troco) e refund (estorno) abatem do valor pago
+  payments: [{
+    type: {
+      type: String,
+      enum: ['payment', 'change', 'refund'],
+      default: 'payment'
+    },
+    method: {
+      type: String,
+      enum: ['cash', 'card', 'pix', 'transfer'],
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01
+    },
+    notes: {
+      type: String,
+      trim: true
+    },
+    paidAt: {
+      type: Date,
+      default: Date.now
+    },
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    turnoInfo: {
+      turnoId: { type: String, default: null },
+      turnoNome: { type: String, default: null }
+    }
+  }],
+  
+  // ✅ ÚLTIMO CÁLCULO DE HORAS EXTRAS (utils/overstay.js)
+  overstay: {
+    minutes: { type: Number, default: 0 },
+    chargedHours: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 },
+    ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'OverstayRule', default: null },
+    convertedToPeriod: { type: String, default: null },
+    calculatedAt: { type: Date, default: null }
   },
   
+  // ✅ HISTÓRICO DE EXTENSÕES E TROCAS DE PERÍODO DURANTE A ESTADIA
+  periodChanges: [{
+    type: {
+      type: String,
+      enum: ['extension', 'period_change'],
+      required: true
+    },
+    fromPeriod: String,
+    toPeriod: String,
+    previousCheckOut: Date,
+    newCheckOut: Date,
+    priceDifference: {
+      type: Number,
+      default: 0
+    },
+    reason: {
+      type: String,
+      trim: true
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  
+  // ✅ HISTÓRICO DE TRANSFERÊNCIAS DE QUARTO DURANTE A ESTADIA
+  roomTransfers: [{
+    fromRoomId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room'
+    },
+    fromRoomNumber: String,
+    toRoomId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room'
+    },
+    toRoomNumber: String,
+    reason: {
+      type: String,
+      trim: true
+    },
+    previousRoomStatus: {
+      type: String,
+      enum: ['maintenance', 'cleaning']
+    },
+    priceDifference: {
+      type: Number,
+      default: 0
+    },
+    ordersMoved: {
+      type: Number,
+      default: 0
+    },
+    transferredAt: {
+      type: Date,
+      default: Date.now
+    },
+    transferredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  
   // ✅ STATUS E PAGAMENTO
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'checked-in', 'checked-out', 'cancelled'],
+    enum: ['pending', 'confirmed', 'checked-in', 'checked-out', 'cancelled', 'no-show'],
     default: 'confirmed',
     required: true
   },
@@ -152,9 +390,10 @@ const reservationSchema = new mongoose.Schema({
     enum: ['cash', 'card', 'pix', 'transfer'],
     default: 'cash' 
   },
+  // paymentStatus é derivado do saldo do folio (utils/folio.js)
   paymentStatus: { 
     type: String,
-    enum: ['pending', 'paid', 'refunded'],
+    enum: ['pending', 'partial', 'paid', 'refunded'],
     default: 'paid' 
   },
   
@@ -165,6 +404,38 @@ const reservationSchema = new mongoose.Schema({
     maxlength: 500
   },
   
+  // ✅ CANCELAMENTO (SOFT-CANCEL - A RESERVA NUNCA É REMOVIDA)
+  cancelReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // ✅ NO-SHOW (RESERVA AGENDADA SEM COMPARECIMENTO - utils/noShow.js)
+  noShowAt: {
+    type: Date,
+    default: null
+  },
+  
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Política aplicada no cancelamento (utils/cancellation.js)
+  cancellation: {
+    policyId: { type: mongoose.Schema.Types.ObjectId, ref: 'CancellationPolicy', default: null },
+    policyName: String,
+    rule: { type: String, enum: ['integral', 'parcial', 'walk-in', 'apos_checkin'] },
+    hoursBefore: Number,
+    refundPercent: Number,
+    refundAmount: Number,
+    retainedAmount: Number
+  },
+  
   // ✅ CAMPOS DE TURNO
   turnoInfo: {
     turnoId: {
@@ -233,45 +504,13 @@ reservationSchema.index({ roomId: 1, checkIn: 1 });
 reservationSchema.index({ customerName: 'text', customerPhone: 'text' });
 reservationSchema.index({ 'turnoInfo.turnoId': 1, createdAt: -1 });
 reservationSchema.index({ 'turnoInfo.funcionarioTurnoId': 1, createdAt: -1 });
+reservationSchema.index({ 'payments.turnoInfo.turnoId': 1 });
+reservationSchema.index({ groupId: 1 });
 reservationSchema.index({ periodType: 1 }); // ✅ NOVO: Index para periodType
+reservationSchema.index({ customerId: 1, createdAt: -1 });
 
-// ✅ MIDDLEWARE PRE-VALIDATE CORRIGIDO - EVITA DUPLICATAS
+// ✅ MIDDLEWARE PRE-VALIDATE
 reservationSchema.pre('validate', async function(next) {
-  // Auto-gerar número de reserva se não existir
-  if (this.isNew && !this.reservationNumber) {
-    try {
-      // 🔥 SOLUÇÃO: Usar timestamp + contador atômico para garantir unicidade
-      const now = new Date();
-      const year = now.getFullYear();
-      const month = String(now.getMonth() + 1).padStart(2, '0');
-      const day = String(now.getDate()).padStart(2, '0');
-      const timestamp = now.getTime().toString().slice(-6); // Últimos 6 dígitos do timestamp
-      const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-      
-      // Formato: RES + ANO + MÊS + DIA + TIMESTAMP + RANDOM
-      // Exemplo: RES20241208123456789
-      this.reservationNumber = `RES${year}${month}${day}${timestamp}${random}`;
-      
-      // 🛡️ VERIFICAÇÃO DE SEGURANÇA: Se ainda assim existir, usar fallback
-      const existsCheck = await this.constructor.findOne({ 
-        reservationNumber: this.reservationNumber 
-      });
-      
-      if (existsCheck) {
-        // Fallback com timestamp completo + ID aleatório
-        this.reservationNumber = `RES${Date.now()}${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
-        console.log('⚠️ Número duplicado detectado, usando fallback:', this.reservationNumber);
-      }
-      
-      console.log('✅ Número de reserva gerado:', this.reservationNumber);
-      
-    } catch (err) {
-      // Fallback de emergência
-      this.reservationNumber = `RES${Date.now()}${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
-      console.log('❌ Erro na geração, usando fallback:', this.reservationNumber);
-    }
-  }
-  
   // Validar datas
   if (this.checkOut <= this.checkIn) {
     throw new Error('Check-out deve ser posterior ao check-in');
@@ -280,6 +519,85 @@ reservationSchema.pre('validate', async function(next) {
   next();
 });
 
+// ✅ HISTÓRICO DE ALTERAÇÕES (models/ReservationHistory.js)
+// Snapshot ao carregar, diff campo a campo no save e gravação na mesma sessão/transação
+const CAMPOS_SEM_HISTORICO = ['_id', '__v', 'createdAt', 'updatedAt', 'updatedBy', 'createdBy'];
+const CAMPOS_DA_CRIACAO = ['status', 'roomNumber', 'checkIn', 'checkOut', 'periodType', 'basePrice', 'totalPrice'];
+
+const copiarValor = (valor) => (valor === undefined ? null : JSON.parse(JSON.stringify(valor)));
+
+reservationSchema.post('init', function() {
+  this.$locals.original = this.toObject({ depopulate: true });
+});
+
+reservationSchema.pre('save', function(next) {
+  const auditoria = this.$locals.auditoria || {};
+  let changes;
+
+  if (this.isNew) {
+    changes = CAMPOS_DA_CRIACAO.map(field => ({
+      field,
+      before: null,
+      after: copiarValor(this.get(field))
+    }));
+  } else {
+    const original = this.$locals.original || {};
+    const atual = this.toObject({ depopulate: true });
+    const campos = [...new Set(this.modifiedPaths().map(caminho => caminho.split('.')[0]))]
+      .filter(campo => !CAMPOS_SEM_HISTORICO.includes(campo));
+
+    changes = campos
+      .map(field => ({ field, before: copiarValor(original[field]), after: copiarValor(atual[field]) }))
+      .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+
+    if (changes.length === 0) return next();
+  }
+
+  const acaoPadrao = this.isNew ? 'create' : (this.isModified('status') ? `status:${this.status}` : 'update');
+
+  this.$locals.historicoPendente = {
+    acao: auditoria.acao || acaoPadrao,
+    changes,
+    userId: auditoria.sistema ? null : (auditoria.usuario?._id || this.updatedBy || this.createdBy || null),
+    sistema: auditoria.sistema === true,
+    reason: auditoria.motivo
+  };
+
+  next();
+});
+
+// ✅ NÚMERO DA RESERVA - ÚLTIMO PASSO ANTES DE GRAVAR
+// Contador atômico por dia (utils/sequence.js) - ex: RES202412080001
+// Só depois da validação e dos demais hooks, para uma falha anterior não queimar
+// o número; dentro de uma transação ele só é consumido se a reserva for gravada
+reservationSchema.pre('save', async function() {
+  if (this.isNew && !this.reservationNumber) {
+    this.reservationNumber = await proximoNumero('reservation', { session: this.$session() });
+    console.log('✅ Número de reserva gerado:', this.reservationNumber);
+  }
+});
+
+reservationSchema.post('save', async function() {
+  const pendente = this.$locals.historicoPendente;
+  if (!pendente) return;
+
+  await ReservationHistory.create([{
+    reservationId: this._id,
+    reservationNumber: this.reservationNumber,
+    ...pendente
+  }], { session: this.$session() });
+
+  this.$locals.historicoPendente = null;
+  this.$locals.auditoria = null;
+  this.$locals.original = this.toObject({ depopulate: true });
+});
+
+// ✅ CONTEXTO DA PRÓXIMA GRAVAÇÃO NO HISTÓRICO (usuário, motivo e ação)
+reservationSchema.methods.auditar = function({ usuario = null, motivo, acao, sistema = false } = {}) {
+  this.$locals.auditoria = { usuario, motivo, acao, sistema };
+  return this;
+};
+
 // ✅ MÉTODO ESTÁTICO PARA VALIDAR PERÍODO
 reservationSchema.statics.validarPeriodo = async function(periodType) {
   try {
@@ -314,6 +632,37 @@ reservationSchema.methods.canCheckOut = function() {
   return this.status === 'checked-in';
 };
 
+// ✅ ADICIONA (OU SUBSTITUI) UMA COBRANÇA E AJUSTA O totalPrice PELA DIFERENÇA
+reservationSchema.methods.aplicarCobranca = function({ type, amount, description = '', userId = null, substituir = false }) {
+  let anterior = 0;
+
+  if (substituir) {
+    this.charges
+      .filter(charge => charge.type === type)
+      .forEach(charge => {
+        anterior += charge.amount;
+        charge.deleteOne();
+      });
+  }
+
+  if (amount !== 0) {
+    this.charges.push({ type, amount, description, createdBy: userId });
+  }
+
+  this.totalPrice = Math.max(0, this.totalPrice + amount - anterior);
+};
+
+// ✅ PREÇO DO PERÍODO ATUAL (PREÇO BASE + DIFERENÇAS DE TROCA DE PERÍODO)
+reservationSchema.methods.getPrecoContratado = function() {
+  return this.charges
+    .filter(charge => charge.type === 'period_change')
+    .reduce((total, charge) => total + charge.amount, this.basePrice);
+};
+
+reservationSchema.methods.canCancel = function() {
+  return ['pending', 'confirmed'].includes(this.status);
+};
+
 // ✅ MÉTODOS ESTÁTICOS
 reservationSchema.statics.findActive = function() {
   return this.find({ status: 'checked-in' });
@@ -348,6 +697,9 @@ reservationSchema.statics.getTodayStats = async function() {
         },
         checkedOut: {
           $sum: { $cond: [{ $eq: ['$status', 'checked-out'] }, 1, 0] }
+        },
+        noShow: {
+          $sum: { $cond: [{ $eq: ['$status', 'no-show'] }, 1, 0] }
         }
       }
     }
@@ -358,37 +710,48 @@ reservationSchema.statics.getTodayStats = async function() {
     revenue: 0,
     confirmed: 0,
     checkedIn: 0,
-    checkedOut: 0
+    checkedOut: 0,
+    noShow: 0
   };
 };
 
 reservationSchema.statics.getReservasPorTurno = async function(turnoId) {
+  // Reservas do turno + reservas de outros turnos que receberam pagamentos neste
   const reservas = await this.find({ 
-    'turnoInfo.turnoId': turnoId,
-    status: { $in: ['confirmed', 'checked-in', 'checked-out'] }
+    $or: [
+      { 'turnoInfo.turnoId': turnoId },
+      { 'payments.turnoInfo.turnoId': turnoId }
+    ],
+    // no-show entra: sinal retido e taxa de não comparecimento são receita do turno
+    status: { $in: ['confirmed', 'checked-in', 'checked-out', 'cancelled', 'no-show'] }
   }).sort({ createdAt: -1 });
   
-  // Calcular faturamento por forma de pagamento
+  const CAMPO_POR_FORMA = { cash: 'dinheiro', card: 'cartao', pix: 'pix', transfer: 'transferencia' };
+  const SINAL = { payment: 1, change: -1, refund: -1 };
+  
+  const somarLancamento = (acc, method, valor) => {
+    acc[CAMPO_POR_FORMA[method] || 'dinheiro'] += valor;
+    acc.total += valor;
+  };
+  
+  // Faturamento por forma de pagamento a partir do livro de pagamentos
   const faturamento = reservas.reduce((acc, reserva) => {
-    const valor = reserva.totalPrice || 0;
+    const lancamentos = reserva.payments.filter(
+      pagamento => pagamento.turnoInfo?.turnoId === turnoId
+    );
     
-    switch(reserva.paymentMethod) {
-      case 'cash':
-        acc.dinheiro += valor;
-        break;
-      case 'card':
-        acc.cartao += valor;
-        break;
-      case 'pix':
-        acc.pix += valor;
-        break;
-      default:
-        acc.dinheiro += valor; // Default para dinheiro
+    lancamentos.forEach(pagamento => {
+      somarLancamento(acc, pagamento.method, SINAL[pagamento.type || 'payment'] * pagamento.amount);
+    });
+    
+    // Reservas antigas sem livro: total na forma de pagamento única
+    if (reserva.payments.length === 0 && reserva.status !== 'cancelled' &&
+        reserva.turnoInfo?.turnoId === turnoId) {
+      somarLancamento(acc, reserva.paymentMethod, reserva.totalPrice || 0);
     }
     
-    acc.total += valor;
     return acc;
-  }, { dinheiro: 0, cartao: 0, pix: 0, total: 0 });
+  }, { dinheiro: 0, cartao: 0, pix: 0, transferencia: 0, total: 0 });
   
   return {
     reservas,
@@ -0,0 +1,88 @@
+// models/ReservationGroup.js - RESERVAS EM GRUPO (VÁRIOS QUARTOS SOB UM MESMO RESPONSÁVEL)
+const mongoose = require('mongoose');
+const { proximoNumero } = require('../utils/sequence');
+
+const reservationGroupSchema = new mongoose.Schema({
+  groupNumber: {
+    type: String,
+    unique: true,
+    // Gerado no pre('save'), depois da validação (ver abaixo)
+    required: function() { return !this.isNew; }
+  },
+
+  nome: {
+    type: String,
+    required: [true, 'Nome do grupo é obrigatório'],
+    trim: true,
+    maxlength: [100, 'Nome não pode ter mais de 100 caracteres']
+  },
+
+  // ✅ RESPONSÁVEL PELO GRUPO
+  customerName: {
+    type: String,
+    required: [true, 'Nome do responsável é obrigatório'],
+    trim: true
+  },
+  customerPhone: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+
+  // ✅ CONTA: compartilhada (pagamentos do grupo quitam todos os quartos) ou individual (cada quarto paga a sua)
+  tipoConta: {
+    type: String,
+    enum: {
+      values: ['compartilhada', 'individual'],
+      message: 'Tipo de conta deve ser compartilhada ou individual'
+    },
+    default: 'compartilhada'
+  },
+
+  reservationIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation'
+  }],
+
+  // Derivado do status das reservas (utils/reservationGroups.js)
+  status: {
+    type: String,
+    enum: ['ativo', 'finalizado', 'cancelado'],
+    default: 'ativo'
+  },
+
+  observacoes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  criadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  atualizadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// ✅ NÚMERO DO GRUPO (CONTADOR ATÔMICO - utils/sequence.js) - EX: GRP2412001
+// Depois da validação, para uma falha não queimar o número
+reservationGroupSchema.pre('save', async function() {
+  if (this.isNew && !this.groupNumber) {
+    this.groupNumber = await proximoNumero('group', { session: this.$session() });
+  }
+});
+
+reservationGroupSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.models.ReservationGroup || mongoose.model('ReservationGroup', reservationGroupSchema);
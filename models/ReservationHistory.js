@@ -0,0 +1,69 @@
+// models/ReservationHistory.js - HISTÓRICO IMUTÁVEL DE ALTERAÇÕES DAS RESERVAS
+const mongoose = require('mongoose');
+
+const reservationHistorySchema = new mongoose.Schema({
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: true
+  },
+
+  reservationNumber: {
+    type: String
+  },
+
+  // 'create', 'update', 'status:checked-in', 'cancel', 'no_show'...
+  acao: {
+    type: String,
+    required: true
+  },
+
+  // Diferenças campo a campo (antes → depois)
+  changes: [{
+    field: { type: String, required: true },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+    _id: false
+  }],
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Alterações feitas por jobs (ex: no-show automático)
+  sistema: {
+    type: Boolean,
+    default: false
+  },
+
+  reason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+reservationHistorySchema.index({ reservationId: 1, createdAt: 1 });
+
+// ✅ IMUTÁVEL: SÓ INSERÇÃO
+const bloquearAlteracao = function() {
+  throw new Error('Histórico de reservas não pode ser alterado');
+};
+
+reservationHistorySchema.pre('save', function(next) {
+  if (!this.isNew) bloquearAlteracao();
+  next();
+});
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'
+].forEach(operacao => {
+  reservationHistorySchema.pre(operacao, bloquearAlteracao);
+});
+
+module.exports = mongoose.models.ReservationHistory || mongoose.model('ReservationHistory', reservationHistorySchema);
@@ -145,11 +145,36 @@ const roomSchema = new mongoose.Schema({
     maxlength: [100, 'Motivo não pode ter mais de 100 caracteres']
   },
 
+  // ✅ INÍCIO DA MANUTENÇÃO ATUAL (PATCH /api/rooms/:id/status)
+  maintenanceSince: {
+    type: Date,
+    default: null
+  },
+
   isActive: {
     type: Boolean,
     default: true
   },
 
+  // ✅ ÚLTIMA LIMPEZA CONCLUÍDA (cleaning → available)
+  lastCleaned: {
+    type: Date,
+    default: null
+  },
+
+  // ✅ INÍCIO DA LIMPEZA ATUAL (check-out, transferência ou PATCH /api/rooms/:id/status)
+  // Base da previsão de liberação da fila de espera (utils/waitingList.js)
+  cleaningSince: {
+    type: Date,
+    default: null
+  },
+
+  // ✅ CONTADOR USADO COMO TRAVA NAS TRANSAÇÕES DE RESERVA (utils/reservationConflicts.js)
+  reservationLock: {
+    type: Number,
+    default: 0
+  },
+
   // ✅ AUDITORIA
   createdAt: {
     type: Date,
@@ -215,6 +240,12 @@ roomSchema.methods.getPriceForPeriod = function(period) {
   return this.price || 50.00;
 };
 
+// Preço próprio do quarto (periods) sobrepõe o do tipo; null = usa o preço do tipo (utils/pricing.js)
+roomSchema.methods.getOwnPriceForPeriod = function(period) {
+  const periodo = (this.periods || []).find(p => p.id === period && p.ativo !== false);
+  return periodo && periodo.preco > 0 ? periodo.preco : null;
+};
+
 roomSchema.methods.getFloorName = function() {
   const floorNames = {
     '1': '1º Andar',
@@ -106,6 +106,9 @@ const roomTypeSchema = new mongoose.Schema({
   // Configurações do tipo
   configuracao: {
     capacidadeMaxima: { type: Number, min: 1, max: 10, default: 2 },
+    // Hóspedes cobertos pelo preço do período; acima disso cobra precoHospedeExtra por pessoa
+    hospedesIncluidos: { type: Number, min: 1, max: 10, default: 2 },
+    precoHospedeExtra: { type: Number, min: 0, default: 0 },
     metrosQuadrados: { type: Number, min: 1 },
     andar: { type: String },
     vista: { 
@@ -113,7 +116,9 @@ const roomTypeSchema = new mongoose.Schema({
       enum: ['jardim', 'piscina', 'rua', 'interna', 'panoramica'], 
       default: 'interna' 
     },
-    acessibilidade: { type: Boolean, default: false }
+    acessibilidade: { type: Boolean, default: false },
+    // Minutos reservados para limpeza entre duas estadias no mesmo quarto
+    intervaloLimpezaMinutos: { type: Number, min: 0, default: 0 }
   },
 
   // Descrição e marketing
@@ -270,10 +275,18 @@ roomTypeSchema.pre('save', function(next) {
 });
 
 // ✅ MÉTODOS DE INSTÂNCIA
+// Preço para exibição (telas de tipos e disponibilidade): inclui o espelho legado precosBase, 0 = sem preço
 roomTypeSchema.methods.getPrecoPorPeriodo = function(periodoId) {
   return this.precosPorPeriodo?.get(periodoId) || this.precosBase?.[periodoId] || 0;
 };
 
+// Preço usado na cobrança (utils/pricing.js): precosBase é só espelho legado,
+// sem preço cadastrado no período retorna null
+roomTypeSchema.methods.getPrecoCadastrado = function(periodoId) {
+  const preco = this.precosPorPeriodo?.get(periodoId);
+  return preco > 0 ? preco : null;
+};
+
 roomTypeSchema.methods.setPrecoPorPeriodo = function(periodoId, preco) {
   if (!this.precosPorPeriodo) {
     this.precosPorPeriodo = new Map();
@@ -282,8 +295,7 @@ roomTypeSchema.methods.setPrecoPorPeriodo = function(periodoId, preco) {
 };
 
 roomTypeSchema.methods.temPrecoDefinido = function(periodoId) {
-  return (this.precosPorPeriodo && this.precosPorPeriodo.get(periodoId) > 0) ||
-         (this.precosBase && this.precosBase[periodoId] > 0);
+  return this.getPrecoCadastrado(periodoId) !== null;
 };
 
 roomTypeSchema.methods.getPrecosPorPeriodo = function() {
@@ -0,0 +1,111 @@
+// models/Turno.js - TURNOS DA RECEPÇÃO (ABERTURA, FECHAMENTO E CONFERÊNCIA DE CAIXA)
+const mongoose = require('mongoose');
+
+const totaisSchema = new mongoose.Schema({
+  dinheiro: { type: Number, default: 0 },
+  cartao: { type: Number, default: 0 },
+  pix: { type: Number, default: 0 },
+  transferencia: { type: Number, default: 0 },
+  total: { type: Number, default: 0 }
+}, { _id: false });
+
+const turnoSchema = new mongoose.Schema({
+  nome: {
+    type: String,
+    required: [true, 'Nome do turno é obrigatório'],
+    trim: true,
+    maxlength: [30, 'Nome não pode ter mais de 30 caracteres'] // 'Manhã', 'Tarde', 'Noite'
+  },
+
+  status: {
+    type: String,
+    enum: ['aberto', 'fechado'],
+    default: 'aberto'
+  },
+
+  funcionarioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  funcionarioNome: {
+    type: String,
+    trim: true
+  },
+
+  abertoEm: {
+    type: Date,
+    default: Date.now
+  },
+
+  fechadoEm: {
+    type: Date,
+    default: null
+  },
+
+  fechadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Troco deixado no caixa na abertura
+  fundoInicial: {
+    type: Number,
+    min: [0, 'Fundo inicial não pode ser negativo'],
+    default: 0
+  },
+
+  // Calculado no fechamento a partir de reservas e pedidos do turno
+  totaisEsperados: {
+    type: totaisSchema,
+    default: () => ({})
+  },
+
+  // Dinheiro contado na gaveta no fechamento
+  dinheiroContado: {
+    type: Number,
+    min: [0, 'Valor contado não pode ser negativo'],
+    default: null
+  },
+
+  // dinheiroContado - (fundoInicial + totaisEsperados.dinheiro)
+  diferenca: {
+    type: Number,
+    default: null
+  },
+
+  observacoes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Observações não podem ter mais de 500 caracteres']
+  }
+}, {
+  timestamps: true
+});
+
+// ✅ APENAS UM TURNO ABERTO POR VEZ
+turnoSchema.index(
+  { status: 1 },
+  { unique: true, partialFilterExpression: { status: 'aberto' } }
+);
+turnoSchema.index({ abertoEm: -1 });
+
+turnoSchema.statics.findAberto = function() {
+  return this.findOne({ status: 'aberto' });
+};
+
+// ✅ DADOS GRAVADOS EM turnoInfo DE RESERVAS, PEDIDOS E PAGAMENTOS
+turnoSchema.methods.getTurnoInfo = function() {
+  return {
+    turnoId: this._id.toString(),
+    turnoNome: this.nome,
+    funcionarioTurno: this.funcionarioNome,
+    funcionarioTurnoId: this.funcionarioId,
+    dataInicioTurno: this.abertoEm,
+    horaInicioTurno: this.abertoEm.toTimeString().slice(0, 5)
+  };
+};
+
+module.exports = mongoose.models.Turno || mongoose.model('Turno', turnoSchema);
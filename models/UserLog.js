@@ -5,7 +5,12 @@ const userLogSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    // Ações automáticas (jobs) não têm usuário
+    required: function() { return !this.sistema; }
+  },
+  sistema: {
+    type: Boolean,
+    default: false
   },
   acao: {
     type: String,
@@ -24,7 +29,8 @@ const userLogSchema = new mongoose.Schema({
       'edit_product',
       'delete_product',
       'add_stock',
-      'adjust_stock'
+      'adjust_stock',
+      'no_show'
     ],
     required: true
   },
@@ -73,6 +79,7 @@ userLogSchema.statics.criarLog = async function(dadosLog) {
   try {
     const log = new this({
       userId: dadosLog.userId,
+      sistema: dadosLog.sistema === true,
       acao: dadosLog.acao,
       detalhes: dadosLog.detalhes,
       ip: dadosLog.ip,
@@ -0,0 +1,113 @@
+// models/WaitingListEntry.js - FILA DE ESPERA DE WALK-INS (TODOS OS QUARTOS OCUPADOS)
+const mongoose = require('mongoose');
+
+const waitingListEntrySchema = new mongoose.Schema({
+  customerName: {
+    type: String,
+    required: [true, 'Nome do cliente é obrigatório'],
+    trim: true
+  },
+
+  customerPhone: {
+    type: String,
+    trim: true
+  },
+
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+
+  // Placa do carro na fila do portão
+  placa: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+
+  // Tipo de quarto desejado ('any' aceita qualquer tipo)
+  tipo: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: 'any'
+  },
+
+  periodoId: {
+    type: String,
+    required: [true, 'Período é obrigatório'],
+    trim: true,
+    lowercase: true
+  },
+
+  status: {
+    type: String,
+    enum: ['aguardando', 'oferecido', 'atendido', 'desistiu', 'expirado'],
+    default: 'aguardando'
+  },
+
+  // ✅ OFERTA AUTOMÁTICA QUANDO UM QUARTO FICA LIVRE
+  quartoOferecido: {
+    roomId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room',
+      default: null
+    },
+    roomNumber: {
+      type: String,
+      default: null
+    },
+    oferecidoEm: {
+      type: Date,
+      default: null
+    },
+    expiraEm: {
+      type: Date,
+      default: null
+    }
+  },
+
+  reservationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    default: null
+  },
+
+  atendidoEm: {
+    type: Date,
+    default: null
+  },
+
+  observacoes: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Observações não podem ter mais de 300 caracteres']
+  },
+
+  criadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  atualizadoPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+waitingListEntrySchema.index({ status: 1, createdAt: 1 });
+waitingListEntrySchema.index({ 'quartoOferecido.roomId': 1, status: 1 });
+
+// ✅ FILA ATIVA NA ORDEM DE CHEGADA
+waitingListEntrySchema.statics.findFilaAtiva = function() {
+  return this.find({ status: { $in: ['aguardando', 'oferecido'] } }).sort({ createdAt: 1 });
+};
+
+waitingListEntrySchema.methods.aceitaTipo = function(tipoQuarto) {
+  return this.tipo === 'any' || this.tipo === tipoQuarto;
+};
+
+module.exports = mongoose.models.WaitingListEntry || mongoose.model('WaitingListEntry', waitingListEntrySchema);
@@ -0,0 +1,157 @@
+// routes/calendarFeeds.js - FEEDS iCALENDAR (.ics) DAS RESERVAS
+const express = require('express');
+const router = express.Router();
+const CalendarFeed = require('../models/CalendarFeed');
+const Room = require('../models/Room');
+const RoomType = require('../models/RoomType');
+const { authenticate, authorize } = require('../middleware/auth');
+const { gerarCalendario, buscarReservasDoFeed } = require('../utils/icalendar');
+const { responderErro } = require('../utils/apiError');
+
+// Mesmos roles que podem criar feeds (authorize abaixo)
+const ROLES_DO_FEED = ['admin', 'gerente'];
+
+const urlDoFeed = (req, feed) => `${req.protocol}://${req.get('host')}/api/calendar-feeds/${feed.token}.ics`;
+
+// @route   GET /api/calendar-feeds
+// @desc    Listar feeds de calendário
+// @access  Private (Admin/Gerente)
+router.get('/', authenticate, authorize(...ROLES_DO_FEED), async (req, res) => {
+  try {
+    const filters = {};
+    if (req.query.ativo !== undefined) filters.ativo = req.query.ativo === 'true';
+
+    const feeds = await CalendarFeed.find(filters)
+      .populate('criadoPor', 'nomeCompleto email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      message: `${feeds.length} feeds encontrados`,
+      data: feeds.map(feed => ({ ...feed.toObject(), url: urlDoFeed(req, feed) }))
+    });
+  } catch (error) {
+    console.error('❌ Erro ao listar feeds de calendário:', error);
+    responderErro(res, error, 'Erro ao listar feeds de calendário');
+  }
+});
+
+// @route   POST /api/calendar-feeds
+// @desc    Criar feed de calendário (motel inteiro, por quarto ou por tipo de quarto)
+// @access  Private (Admin/Gerente)
+router.post('/', authenticate, authorize(...ROLES_DO_FEED), async (req, res) => {
+  try {
+    const { nome, escopo = 'property', roomId, roomTypeId } = req.body;
+
+    console.log('📤 POST /api/calendar-feeds', req.body);
+
+    const dados = { nome, escopo, criadoPor: req.user._id };
+
+    if (escopo === 'room') {
+      const room = roomId ? await Room.findById(roomId) : null;
+
+      if (!room) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quarto não encontrado'
+        });
+      }
+
+      dados.roomId = room._id;
+      dados.nome = nome || `Quarto ${room.number}`;
+    }
+
+    if (escopo === 'roomType') {
+      const roomType = roomTypeId ? await RoomType.findOne({ id: roomTypeId.toLowerCase() }) : null;
+
+      if (!roomType) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tipo de quarto não encontrado'
+        });
+      }
+
+      dados.roomTypeId = roomType.id;
+      dados.nome = nome || `Quartos ${roomType.nome}`;
+    }
+
+    if (escopo === 'property') {
+      dados.nome = nome || 'Todas as reservas';
+    }
+
+    const feed = new CalendarFeed(dados);
+    await feed.save();
+
+    console.log(`✅ Feed de calendário "${feed.nome}" criado`);
+
+    res.status(201).json({
+      success: true,
+      message: `Feed "${feed.nome}" criado com sucesso`,
+      data: { ...feed.toObject(), url: urlDoFeed(req, feed) }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao criar feed de calendário:', error);
+    responderErro(res, error, 'Erro ao criar feed de calendário');
+  }
+});
+
+// @route   DELETE /api/calendar-feeds/:id
+// @desc    Revogar feed de calendário (o token deixa de funcionar)
+// @access  Private (Admin/Gerente)
+router.delete('/:id', authenticate, authorize(...ROLES_DO_FEED), async (req, res) => {
+  try {
+    const feed = await CalendarFeed.findById(req.params.id);
+
+    if (!feed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Feed não encontrado'
+      });
+    }
+
+    feed.ativo = false;
+    feed.revogadoPor = req.user._id;
+    await feed.save();
+
+    res.json({
+      success: true,
+      message: `Feed "${feed.nome}" revogado com sucesso`
+    });
+  } catch (error) {
+    console.error('❌ Erro ao revogar feed de calendário:', error);
+    responderErro(res, error, 'Erro ao revogar feed de calendário');
+  }
+});
+
+// @route   GET /api/calendar-feeds/:token.ics
+// @desc    Calendário iCalendar do feed (assinado pelos aplicativos de calendário)
+// @access  Token do feed (quem criou precisa continuar ativo e com acesso de gerência)
+router.get('/:token.ics', async (req, res) => {
+  try {
+    const feed = await CalendarFeed.findAtivoPorToken(req.params.token);
+    const dono = feed?.criadoPor;
+
+    if (!feed || !dono || !dono.isActiveUser() || !ROLES_DO_FEED.includes(dono.role)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Feed não encontrado'
+      });
+    }
+
+    const reservations = await buscarReservasDoFeed(feed);
+
+    await CalendarFeed.updateOne({ _id: feed._id }, { ultimoAcesso: new Date() });
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `inline; filename="reservas-${feed._id}.ics"`,
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(gerarCalendario({ nome: feed.nome, reservations }));
+  } catch (error) {
+    console.error('❌ Erro ao gerar feed de calendário:', error);
+    responderErro(res, error, 'Erro ao gerar feed de calendário');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,124 @@
+// routes/cancellationPolicies.js - ROTAS DAS POLÍTICAS DE CANCELAMENTO
+const express = require('express');
+const router = express.Router();
+const CancellationPolicy = require('../models/CancellationPolicy');
+const { authenticate, authorize } = require('../middleware/auth');
+const { responderErro } = require('../utils/apiError');
+
+const CAMPOS_EDITAVEIS = [
+  'nome', 'periodoId', 'horasReembolsoIntegral', 'percentualReembolsoParcial',
+  'reembolsarWalkIn', 'ativo'
+];
+
+// @route   GET /api/cancellation-policies
+// @desc    Listar políticas de cancelamento
+// @access  Private
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const filters = {};
+    if (req.query.ativo !== undefined) filters.ativo = req.query.ativo === 'true';
+
+    const policies = await CancellationPolicy.find(filters).sort({ periodoId: 1 });
+
+    res.json({
+      success: true,
+      message: `${policies.length} políticas encontradas`,
+      data: policies
+    });
+  } catch (error) {
+    console.error('❌ Erro ao listar políticas de cancelamento:', error);
+    responderErro(res, error, 'Erro ao listar políticas de cancelamento');
+  }
+});
+
+// @route   POST /api/cancellation-policies
+// @desc    Criar política de cancelamento (geral ou por período)
+// @access  Private (Admin/Gerente)
+router.post('/', authenticate, authorize('admin', 'gerente'), async (req, res) => {
+  try {
+    console.log('📤 POST /api/cancellation-policies', req.body);
+
+    const dados = {};
+    CAMPOS_EDITAVEIS.forEach(campo => {
+      if (req.body[campo] !== undefined) dados[campo] = req.body[campo];
+    });
+
+    const policy = new CancellationPolicy({
+      ...dados,
+      criadoPor: req.user._id
+    });
+
+    await policy.save();
+
+    res.status(201).json({
+      success: true,
+      message: `Política "${policy.nome}" criada com sucesso`,
+      data: policy
+    });
+  } catch (error) {
+    console.error('❌ Erro ao criar política de cancelamento:', error);
+    responderErro(res, error, 'Erro ao criar política de cancelamento');
+  }
+});
+
+// @route   PUT /api/cancellation-policies/:id
+// @desc    Atualizar política de cancelamento
+// @access  Private (Admin/Gerente)
+router.put('/:id', authenticate, authorize('admin', 'gerente'), async (req, res) => {
+  try {
+    const policy = await CancellationPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Política não encontrada'
+      });
+    }
+
+    CAMPOS_EDITAVEIS.forEach(campo => {
+      if (req.body[campo] !== undefined) policy[campo] = req.body[campo];
+    });
+
+    policy.atualizadoPor = req.user._id;
+    await policy.save();
+
+    res.json({
+      success: true,
+      message: `Política "${policy.nome}" atualizada com sucesso`,
+      data: policy
+    });
+  } catch (error) {
+    console.error('❌ Erro ao atualizar política de cancelamento:', error);
+    responderErro(res, error, 'Erro ao atualizar política de cancelamento');
+  }
+});
+
+// @route   DELETE /api/cancellation-policies/:id
+// @desc    Desativar política de cancelamento (soft delete)
+// @access  Private (Admin/Gerente)
+router.delete('/:id', authenticate, authorize('admin', 'gerente'), async (req, res) => {
+  try {
+    const policy = await CancellationPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Política não encontrada'
+      });
+    }
+
+    policy.ativo = false;
+    policy.atualizadoPor = req.user._id;
+    await policy.save();
+
+    res.json({
+      success: true,
+      message: `Política "${policy.nome}" desativada com sucesso`
+    });
+  } catch (error) {
+    console.error('❌ Erro ao desativar política de cancelamento:', error);
+    responderErro(res, error, 'Erro ao desativar política de cancelamento');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,223 @@
+// routes/coupons.js - ROTAS DOS CUPONS PROMOCIONAIS
+const express = require('express');
+const router = express.Router();
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const { authenticate, authorize } = require('../middleware/auth');
+const { responderErro } = require('../utils/apiError');
+
+const CAMPOS_EDITAVEIS = [
+  'codigo', 'descricao', 'aplicaEm', 'tipoDesconto', 'valor', 'descontoMaximo',
+  'periodoIds', 'roomTypeIds', 'categoriaIds', 'diasSemana', 'validoDe', 'validoAte',
+  'limiteUsos', 'limitePorCliente', 'ativo'
+];
+
+// Código duplicado (índice único) vira 400; o resto segue a resposta padrão
+const responderErroCupom = (res, error, mensagem) => {
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'Já existe um cupom com este código'
+    });
+  }
+
+  responderErro(res, error, mensagem);
+};
+
+// @route   GET /api/coupons
+// @desc    Listar cupons (?ativo=true&aplicaEm=reserva)
+// @access  Private (Admin/Gerente)
+router.get('/', authenticate, authorize('admin', 'gerente'), async (req, res) => {
+  try {
+    const filters = {};
+    if (req.query.ativo !== undefined) filters.ativo = req.query.ativo === 'true';
+    if (req.query.aplicaEm) filters.aplicaEm = req.query.aplicaEm;
+
+    const coupons = await Coupon.find(filters).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      message: `${coupons.length} cupons encontrados`,
+      data: coupons
+    });
+  } catch (error) {
+    console.error('❌ Erro ao listar cupons:', error);
+    responderErroCupom(res, error, 'Erro ao listar cupons');
+  }
+});
+
+// @route   GET /api/coupons/check?code=TERCA20&customerId=...
+// @desc    Consultar cupom no balcão: vigência, usos restantes e usos do cliente
+//          (período, tipo de quarto e categorias são conferidos ao aplicar)
+// @access  Private
+router.get('/check', authenticate, async (req, res) => {
+  try {
+    const { code, customerId } = req.query;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Código do cupom é obrigatório'
+      });
+    }
+
+    const coupon = await Coupon.findPorCodigo(code);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cupom não encontrado'
+      });
+    }
+
+    const agora = new Date();
+    const usosDoCliente = customerId
+      ? await CouponRedemption.countDocuments({ couponId: coupon._id, customerId, status: 'aplicado' })
+      : null;
+
+    const motivos = [];
+    if (!coupon.ativo) motivos.push('Cupom inativo');
+    if (coupon.validoDe && agora < coupon.validoDe) motivos.push('Cupom ainda não está vigente');
+    if (coupon.validoAte && agora >= coupon.validoAte) motivos.push('Cupom expirado');
+    if (coupon.limiteUsos !== null && coupon.usos >= coupon.limiteUsos) motivos.push('Cupom esgotado');
+    if (coupon.limitePorCliente && usosDoCliente !== null && usosDoCliente >= coupon.limitePorCliente) {
+      motivos.push('Limite de uso do cliente atingido');
+    }
+
+    res.json({
+      success: true,
+      message: motivos.length === 0 ? `Cupom ${coupon.codigo} disponível` : motivos.join('; '),
+      data: {
+        coupon,
+        disponivel: motivos.length === 0,
+        motivos,
+        usosRestantes: coupon.limiteUsos !== null ? Math.max(0, coupon.limiteUsos - coupon.usos) : null,
+        usosDoCliente
+      }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao consultar cupom:', error);
+    responderErroCupom(res, error, 'Erro ao consultar cupom');
+  }
+});
+
+// @route   GET /api/coupons/:id/redemptions
+// @desc    Resgates do cupom (reservas e pedidos)
+// @access  Private (Admin/Gerente)
+router.get('/:id/redemptions', authenticate, authorize('admin', 'gerente'), async (req, res) => {
+  try {
+    const filters = { couponId: req.params.id };
+    if (req.query.status) filters.status = req.query.status;
+
+    const redemptions = await CouponRedemption.find(filters)
+      .populate('reservationId', 'reservationNumber customerName roomNumber')
+      .populate('orderId', 'orderNumber')
+      .populate('usadoPor', 'name')
+      .sort({ createdAt: -1 });
+
+    const totalDesconto = redemptions
+      .filter(resgate => resgate.status === 'aplicado')
+      .reduce((total, resgate) => total + resgate.valorDesconto, 0);
+
+    res.json({
+      success: true,
+      message: `${redemptions.length} resgates encontrados`,
+      data: { redemptions, totalDesconto: Math.round(totalDesconto * 100) / 100 }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao listar resgates:', error);
+    responderErroCupom(res, error, 'Erro ao listar resgates');
+  }
+});
+
+// @route   POST /api/coupons
+// @desc    Criar cupom (percentual ou valor fixo, vigência, escopo e limites de uso)
+// @access  Private (Admin/Gerente)
+router.post('/', authenticate, authorize('admin', 'gerente'), async (req, res) => {
+  try {
+    console.log('📤 POST /api/coupons', req.body);
+
+    const dados = {};
+    CAMPOS_EDITAVEIS.forEach(campo => {
+      if (req.body[campo] !== undefined) dados[campo] = req.body[campo];
+    });
+
+    const coupon = new Coupon({
+      ...dados,
+      criadoPor: req.user._id
+    });
+
+    await coupon.save();
+
+    res.status(201).json({
+      success: true,
+      message: `Cupom ${coupon.codigo} criado com sucesso`,
+      data: coupon
+    });
+  } catch (error) {
+    console.error('❌ Erro ao criar cupom:', error);
+    responderErroCupom(res, error, 'Erro ao criar cupom');
+  }
+});
+
+// @route   PUT /api/coupons/:id
+// @desc    Atualizar cupom
+// @access  Private (Admin/Gerente)
+router.put('/:id', authenticate, authorize('admin', 'gerente'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cupom não encontrado'
+      });
+    }
+
+    CAMPOS_EDITAVEIS.forEach(campo => {
+      if (req.body[campo] !== undefined) coupon[campo] = req.body[campo];
+    });
+
+    coupon.atualizadoPor = req.user._id;
+    await coupon.save();
+
+    res.json({
+      success: true,
+      message: `Cupom ${coupon.codigo} atualizado com sucesso`,
+      data: coupon
+    });
+  } catch (error) {
+    console.error('❌ Erro ao atualizar cupom:', error);
+    responderErroCupom(res, error, 'Erro ao atualizar cupom');
+  }
+});
+
+// @route   DELETE /api/coupons/:id
+// @desc    Desativar cupom (soft delete - resgates continuam no histórico)
+// @access  Private (Admin/Gerente)
+router.delete('/:id', authenticate, authorize('admin', 'gerente'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cupom não encontrado'
+      });
+    }
+
+    coupon.ativo = false;
+    coupon.atualizadoPor = req.user._id;
+    await coupon.save();
+
+    res.json({
+      success: true,
+      message: `Cupom ${coupon.codigo} desativado com sucesso`
+    });
+  } catch (error) {
+    console.error('❌ Erro ao desativar cupom:', error);
+    responderErroCupom(res, error, 'Erro ao desativar cupom');
+  }
+});
+
+module.exports = router;
@@ -8,6 +8,7 @@ const Customer = require('../models/Customer');
 const Order = require('../models/Order');
 const { Product } = require('../models/Product');
 const { authenticate, authorize } = require('../middleware/auth');
+const { calcularOverstay } = require('../utils/overstay');
 
 // @route   GET /api/dashboard/overview
 // @desc    Obter visão geral do dashboard
@@ -42,7 +43,11 @@ router.get('/overview', authenticate, async (req, res) => {
         status: 'checked-out',
         checkOut: { $gte: startOfDay, $lte: endOfDay }
       }),
-      pending: await Reservation.countDocuments({ status: 'pending' })
+      pending: await Reservation.countDocuments({ status: 'pending' }),
+      todayNoShows: await Reservation.countDocuments({
+        status: 'no-show',
+        noShowAt: { $gte: startOfDay, $lte: endOfDay }
+      })
     };
 
     // Pedidos de hoje
@@ -465,6 +470,7 @@ router.get('/performance', authenticate, async (req, res) => {
 
       return {
         reservations: reservations.length,
+        noShows: reservations.filter(reservation => reservation.status === 'no-show').length,
         revenue: revenue[0]?.total || 0,
         consumption: revenue[0]?.consumption || 0,
         newCustomers: customers,
@@ -487,6 +493,7 @@ router.get('/performance', authenticate, async (req, res) => {
       previous: previousMetrics,
       changes: {
         reservations: calculateChange(currentMetrics.reservations, previousMetrics.reservations),
+        noShows: calculateChange(currentMetrics.noShows, previousMetrics.noShows),
         revenue: calculateChange(currentMetrics.revenue, previousMetrics.revenue),
         consumption: calculateChange(currentMetrics.consumption, previousMetrics.consumption),
         newCustomers: calculateChange(currentMetrics.newCustomers, previousMetrics.newCustomers),
@@ -599,7 +606,7 @@ router.get('/alerts', authenticate, async (req, res) => {
         type: 'info',
         priority: 'medium',
         title: 'Check-out em breve',
-        message: `Quarto ${reservation.roomId.number} - ${reservation.customerId.name}`,
+        message: `Quarto ${reservation.roomNumber} - ${reservation.customerId?.name || reservation.customerName}`,
         time: reservation.checkOut,
         action: 'checkout',
         id: reservation._id
@@ -612,18 +619,29 @@ router.get('/alerts', authenticate, async (req, res) => {
       checkOut: { $lt: now }
     }).populate('roomId', 'number').populate('customerId', 'name');
 
-    overdueReservations.forEach(reservation => {
+    for (const reservation of overdueReservations) {
       const hoursOverdue = Math.floor((now - reservation.checkOut) / (1000 * 60 * 60));
+      // Cobrança projetada pelas regras de hora extra (gravada no check-out);
+      // erro numa reserva não derruba os demais alertas
+      let overstay = null;
+      try {
+        overstay = await calcularOverstay(reservation, { agora: now });
+      } catch (error) {
+        console.error(`❌ Erro ao calcular hora extra da reserva ${reservation.reservationNumber}:`, error.message);
+      }
+      const cobranca = overstay?.amount > 0 ? ` - R$ ${overstay.amount.toFixed(2)} em horas extras` : '';
+
       alerts.push({
         type: 'warning',
         priority: 'high',
         title: 'Reserva em atraso',
-        message: `Quarto ${reservation.roomId.number} - ${hoursOverdue}h de atraso`,
+        message: `Quarto ${reservation.roomNumber} - ${hoursOverdue}h de atraso${cobranca}`,
         time: reservation.checkOut,
         action: 'checkout',
-        id: reservation._id
+        id: reservation._id,
+        overstay
       });
-    });
+    }
 
     // 3. Pedidos atrasados
     const delayedOrders = await Order.find({
@@ -783,7 +801,11 @@ router.get('/quick-stats', authenticate, async (req, res) => {
         },
         reservations: {
           today: todayReservations,
-          active: await Reservation.countDocuments({ status: 'checked-in' })
+          active: await Reservation.countDocuments({ status: 'checked-in' }),
+          noShowToday: await Reservation.countDocuments({
+            status: 'no-show',
+            noShowAt: { $gte: startOfDay, $lte: endOfDay }
+          })
         },
         orders: {
           active: activeOrders,
@@ -0,0 +1,222 @@
+// routes/holidays.js - ROTAS DO CALENDÁRIO DE FERIADOS
+const express = require('express');
+const router = express.Router();
+const Holiday = require('../models/Holiday');
+const { authenticate, authorize } = require('../middleware/auth');
+const { buscarFeriados, importarFeriados } = require('../utils/holidays');
+const { responderErro } = require('../utils/apiError');
+
+const CAMPOS_EDITAVEIS = [
+  'nome', 'dia', 'mes', 'ano', 'recorrente', 'abrangencia', 'uf', 'municipio', 'ativo'
+];
+
+// Mesma data/abrangência já cadastrada (índice único) vira 400; o resto segue a resposta padrão
+const responderErroFeriado = (res, error, mensagem) => {
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'Já existe um feriado nesta data para esta abrangência (edite ou reative o existente)'
+    });
+  }
+
+  responderErro(res, error, mensagem);
+};
+
+// @route   GET /api/holidays
+// @desc    Listar feriados (?ano=2026 mostra recorrentes + datas únicas do ano)
+// @access  Private
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const filters = {};
+    if (req.query.ativo !== undefined) filters.ativo = req.query.ativo === 'true';
+    if (req.query.abrangencia) filters.abrangencia = req.query.abrangencia;
+    if (req.query.mes) filters.mes = parseInt(req.query.mes);
+    if (req.query.ano) filters.$or = [{ recorrente: true }, { ano: parseInt(req.query.ano) }];
+
+    const holidays = await Holiday.find(filters).sort({ mes: 1, dia: 1, abrangencia: 1 });
+
+    res.json({
+      success: true,
+      message: `${holidays.length} feriados encontrados`,
+      data: holidays
+    });
+  } catch (error) {
+    console.error('❌ Erro ao listar feriados:', error);
+    responderErro(res, error, 'Erro ao listar feriados');
+  }
+});
+
+// @route   GET /api/holidays/check?data=2026-11-20
+// @desc    Verificar se a data é feriado na localidade do motel
+// @access  Private
+router.get('/check', authenticate, async (req, res) => {
+  try {
+    const data = req.query.data ? new Date(`${req.query.data}T12:00:00`) : new Date();
+
+    if (isNaN(data.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Data inválida (use AAAA-MM-DD)'
+      });
+    }
+
+    const feriados = await buscarFeriados(data);
+
+    res.json({
+      success: true,
+      message: feriados.length > 0 ? `Feriado: ${feriados.map(f => f.nome).join(', ')}` : 'Não é feriado',
+      data: { data, feriado: feriados.length > 0, feriados }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao verificar feriado:', error);
+    responderErro(res, error, 'Erro ao verificar feriado');
+  }
+});
+
+// @route   POST /api/holidays
+// @desc    Cadastrar feriado
+// @access  Private (Admin/Gerente)
+router.post('/', authenticate, authorize('admin', 'gerente'), async (req, res) => {
+  try {
+    console.log('📤 POST /api/holidays', req.body);
+
+    const dados = {};
+    CAMPOS_EDITAVEIS.forEach(campo => {
+      if (req.body[campo] !== undefined) dados[campo] = req.body[campo];
+    });
+
+    const holiday = new Holiday({
+      ...dados,
+      criadoPor: req.user._id
+    });
+
+    await holiday.save();
+
+    res.status(201).json({
+      success: true,
+      message: `Feriado "${holiday.nome}" cadastrado com sucesso`,
+      data: holiday
+    });
+  } catch (error) {
+    console.error('❌ Erro ao cadastrar feriado:', error);
+    responderErroFeriado(res, error, 'Erro ao cadastrar feriado');
+  }
+});
+
+// @route   POST /api/holidays/import
+// @desc    Importar feriados de CSV (data;nome;abrangencia;uf;municipio) ou iCalendar (.ics)
+//          Corpo em texto (Content-Type text/csv ou text/calendar) ou JSON { formato, conteudo }
+// @access  Private (Admin/Gerente)
+router.post(
+  '/import',
+  authenticate,
+  authorize('admin', 'gerente'),
+  express.text({ type: ['text/csv', 'text/calendar', 'text/plain'], limit: '1mb' }),
+  async (req, res) => {
+    try {
+      const textoPuro = typeof req.body === 'string';
+      const conteudo = textoPuro ? req.body : req.body.conteudo;
+      const formato = textoPuro
+        ? (req.is('text/calendar') || req.query.formato === 'ical' ? 'ical' : 'csv')
+        : (req.body.formato || 'csv');
+      const opcoes = textoPuro ? req.query : req.body;
+
+      console.log(`📥 POST /api/holidays/import (${formato})`);
+
+      if (!['csv', 'ical'].includes(formato)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Formato deve ser csv ou ical'
+        });
+      }
+
+      if (!conteudo || !conteudo.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Conteúdo do arquivo é obrigatório'
+        });
+      }
+
+      const resultado = await importarFeriados({
+        formato,
+        conteudo,
+        abrangencia: opcoes.abrangencia,
+        uf: opcoes.uf,
+        municipio: opcoes.municipio
+      }, req.user);
+
+      console.log(`✅ Feriados: ${resultado.importados} importados, ${resultado.atualizados} atualizados, ${resultado.erros.length} erros`);
+
+      res.json({
+        success: resultado.erros.length === 0,
+        message: `${resultado.importados} feriados importados, ${resultado.atualizados} atualizados`,
+        data: resultado
+      });
+    } catch (error) {
+      console.error('❌ Erro ao importar feriados:', error);
+      responderErro(res, error, 'Erro ao importar feriados');
+    }
+  }
+);
+
+// @route   PUT /api/holidays/:id
+// @desc    Atualizar feriado
+// @access  Private (Admin/Gerente)
+router.put('/:id', authenticate, authorize('admin', 'gerente'), async (req, res) => {
+  try {
+    const holiday = await Holiday.findById(req.params.id);
+
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: 'Feriado não encontrado'
+      });
+    }
+
+    CAMPOS_EDITAVEIS.forEach(campo => {
+      if (req.body[campo] !== undefined) holiday[campo] = req.body[campo];
+    });
+
+    holiday.atualizadoPor = req.user._id;
+    await holiday.save();
+
+    res.json({
+      success: true,
+      message: `Feriado "${holiday.nome}" atualizado com sucesso`,
+      data: holiday
+    });
+  } catch (error) {
+    console.error('❌ Erro ao atualizar feriado:', error);
+    responderErroFeriado(res, error, 'Erro ao atualizar feriado');
+  }
+});
+
+// @route   DELETE /api/holidays/:id
+// @desc    Desativar feriado (soft delete)
+// @access  Private (Admin/Gerente)
+router.delete('/:id', authenticate, authorize('admin', 'gerente'), async (req, res) => {
+  try {
+    const holiday = await Holiday.findById(req.params.id);
+
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: 'Feriado não encontrado'
+      });
+    }
+
+    holiday.ativo = false;
+    holiday.atualizadoPor = req.user._id;
+    await holiday.save();
+
+    res.json({
+      success: true,
+      message: `Feriado "${holiday.nome}" desativado com sucesso`
+    });
+  } catch (error) {
+    console.error('❌ Erro ao desativar feriado:', error);
+    responderErro(res, error, 'Erro ao desativar feriado');
+  }
+});
+
+module.exports = router;
@@ -8,6 +8,9 @@ const Reservation = require('../models/Reservation');
 const Customer = require('../models/Customer');
 const { authenticate, authorize, checkPermission } = require('../middleware/auth');
 const { validateOrder, sanitizeInput } = require('../middleware/validation');
+const { buscarTurnoInfoAtual } = require('../utils/turno');
+const { comTransacao } = require('../utils/transaction');
+const { aplicarCupomPedido, estornarCupom } = require('../utils/coupons');
 
 // @route   GET /api/orders
 // @desc    Listar todos os pedidos
@@ -169,12 +172,12 @@ router.get('/:id', authenticate, async (req, res) => {
 // @access  Private
 router.post('/', authenticate, sanitizeInput, validateOrder, async (req, res) => {
   try {
-    const { reservationId, items, orderType = 'frigobar', deliveryInfo, customerInfo } = req.body;
+    const { reservationId, items, orderType = 'frigobar', deliveryInfo, customerInfo, couponCode } = req.body;
 
     // Verificar se reserva existe e está ativa
     const reservation = await Reservation.findById(reservationId)
       .populate('customerId')
-      .populate('roomId', 'number');
+      .populate('roomId', 'number type');
 
     if (!reservation) {
       return res.status(404).json({
@@ -192,6 +195,8 @@ router.post('/', authenticate, sanitizeInput, validateOrder, async (req, res) =>
 
     // Validar e processar itens do pedido
     const processedItems = [];
+    // Categoria de cada item: cupons podem valer só para algumas categorias
+    const itensDoCupom = [];
     let subtotal = 0;
 
     for (const item of items) {
@@ -230,6 +235,7 @@ router.post('/', authenticate, sanitizeInput, validateOrder, async (req, res) =>
         totalPrice,
         notes: item.notes || ''
       });
+      itensDoCupom.push({ totalPrice, categoria: product.categoria || product.category });
 
       subtotal += totalPrice;
     }
@@ -257,12 +263,26 @@ router.post('/', authenticate, sanitizeInput, validateOrder, async (req, res) =>
         estimatedTime: deliveryInfo?.estimatedTime || (orderType === 'frigobar' ? 5 : 30)
       },
       customerInfo: customerInfo || {},
+      turnoInfo: await buscarTurnoInfoAtual(),
       staff: {
         createdBy: req.user._id
       }
     });
 
-    await order.save();
+    // Pedido e resgate do cupom gravados juntos
+    await comTransacao(async (session) => {
+      if (couponCode) {
+        await aplicarCupomPedido(order, couponCode, {
+          reservation,
+          room: reservation.roomId,
+          itens: itensDoCupom,
+          usuario: req.user,
+          session
+        });
+      }
+
+      await order.save({ session });
+    });
 
     // Atualizar estoque dos produtos
     for (const item of processedItems) {
@@ -284,9 +304,10 @@ router.post('/', authenticate, sanitizeInput, validateOrder, async (req, res) =>
     });
   } catch (error) {
     console.error('Erro ao criar pedido:', error);
-    res.status(500).json({
+    // Erros de regra de negócio (ex: cupom inválido) trazem o status em error.status
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Erro interno do servidor'
+      message: error.status ? error.message : 'Erro interno do servidor'
     });
   }
 });
@@ -499,6 +520,9 @@ router.patch('/:id/cancel', authenticate, checkPermission('canManageOrders'), as
 
     await order.cancel(reason);
 
+    // Cupom usado no pedido volta a ficar disponível
+    await estornarCupom({ orderId: order._id }, req.user);
+
     res.json({
       success: true,
       message: 'Pedido cancelado com sucesso',
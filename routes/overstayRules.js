@@ -0,0 +1,124 @@
+// routes/overstayRules.js - ROTAS DAS REGRAS DE HORA EXTRA
+const express = require('express');
+const router = express.Router();
+const OverstayRule = require('../models/OverstayRule');
+const { authenticate, authorize } = require('../middleware/auth');
+const { responderErro } = require('../utils/apiError');
+
+const CAMPOS_EDITAVEIS = [
+  'nome', 'periodoId', 'roomTypeId', 'toleranciaMinutos', 'precoHoraExtra',
+  'cobrarFracao', 'limiteHoras', 'proximoPeriodo', 'ativo'
+];
+
+// @route   GET /api/overstay-rules
+// @desc    Listar regras de hora extra
+// @access  Private
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const filters = {};
+    if (req.query.ativo !== undefined) filters.ativo = req.query.ativo === 'true';
+
+    const rules = await OverstayRule.find(filters).sort({ roomTypeId: 1, periodoId: 1 });
+
+    res.json({
+      success: true,
+      message: `${rules.length} regras encontradas`,
+      data: rules
+    });
+  } catch (error) {
+    console.error('❌ Erro ao listar regras de hora extra:', error);
+    responderErro(res, error, 'Erro ao listar regras de hora extra');
+  }
+});
+
+// @route   POST /api/overstay-rules
+// @desc    Criar regra de hora extra (por período e/ou tipo de quarto)
+// @access  Private (Admin/Gerente)
+router.post('/', authenticate, authorize('admin', 'gerente'), async (req, res) => {
+  try {
+    console.log('📤 POST /api/overstay-rules', req.body);
+
+    const dados = {};
+    CAMPOS_EDITAVEIS.forEach(campo => {
+      if (req.body[campo] !== undefined) dados[campo] = req.body[campo];
+    });
+
+    const rule = new OverstayRule({
+      ...dados,
+      criadoPor: req.user._id
+    });
+
+    await rule.save();
+
+    res.status(201).json({
+      success: true,
+      message: `Regra "${rule.nome}" criada com sucesso`,
+      data: rule
+    });
+  } catch (error) {
+    console.error('❌ Erro ao criar regra de hora extra:', error);
+    responderErro(res, error, 'Erro ao criar regra de hora extra');
+  }
+});
+
+// @route   PUT /api/overstay-rules/:id
+// @desc    Atualizar regra de hora extra
+// @access  Private (Admin/Gerente)
+router.put('/:id', authenticate, authorize('admin', 'gerente'), async (req, res) => {
+  try {
+    const rule = await OverstayRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Regra não encontrada'
+      });
+    }
+
+    CAMPOS_EDITAVEIS.forEach(campo => {
+      if (req.body[campo] !== undefined) rule[campo] = req.body[campo];
+    });
+
+    rule.atualizadoPor = req.user._id;
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: `Regra "${rule.nome}" atualizada com sucesso`,
+      data: rule
+    });
+  } catch (error) {
+    console.error('❌ Erro ao atualizar regra de hora extra:', error);
+    responderErro(res, error, 'Erro ao atualizar regra de hora extra');
+  }
+});
+
+// @route   DELETE /api/overstay-rules/:id
+// @desc    Desativar regra de hora extra (soft delete)
+// @access  Private (Admin/Gerente)
+router.delete('/:id', authenticate, authorize('admin', 'gerente'), async (req, res) => {
+  try {
+    const rule = await OverstayRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Regra não encontrada'
+      });
+    }
+
+    rule.ativo = false;
+    rule.atualizadoPor = req.user._id;
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: `Regra "${rule.nome}" desativada com sucesso`
+    });
+  } catch (error) {
+    console.error('❌ Erro ao desativar regra de hora extra:', error);
+    responderErro(res, error, 'Erro ao desativar regra de hora extra');
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,13 @@
 const express = require('express');
 const router = express.Router();
 const { ObjectId } = require('mongodb');
+const Room = require('../models/Room');
+const RoomType = require('../models/RoomType');
+const { calcularPreco } = require('../utils/pricing');
+const Period = require('../models/Period');
+const { buscarPeriodo, calcularAgenda } = require('../utils/periodSchedule');
+const { verificarDisponibilidadeNaData } = require('../utils/holidays');
+const { responderErro } = require('../utils/apiError');
 
 // Middleware para logs específicos de períodos
 router.use((req, res, next) => {
@@ -57,17 +64,55 @@ router.get('/available', async (req, res) => {
     // Buscar períodos baseado no tipo de reserva
     const availableForFilter = isToday ? 'today' : 'future';
     
-    const periods = await db.collection('products').find({
+    const candidatos = await db.collection('products').find({
       active: true,
       availableFor: availableForFilter
     }).sort({ order: 1 }).toArray();
     
+    // ✅ MESMA REGRA DA CRIAÇÃO DA RESERVA: fim de semana / feriado (Period.disponibilidade)
+    // "AAAA-MM-DD" sem horário é lido como meia-noite local, não UTC
+    const dataReserva = isToday ? new Date() : new Date(`${date}T00:00:00`);
+    
+    if (isNaN(dataReserva.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Data inválida (use AAAA-MM-DD)'
+      });
+    }
+    
+    const cadastrados = await Period.find({
+      id: { $in: candidatos.map(p => p.periodType) },
+      ativo: true
+    });
+    const periodoPorId = new Map(cadastrados.map(periodo => [periodo.id, periodo]));
+    
+    const periods = [];
+    const indisponiveis = [];
+    
+    for (const candidato of candidatos) {
+      const periodo = periodoPorId.get(candidato.periodType);
+      
+      if (!periodo) {
+        indisponiveis.push({ periodType: candidato.periodType, motivo: `Período ${candidato.periodType} não encontrado ou inativo` });
+        continue;
+      }
+      
+      const { disponivel, motivo } = await verificarDisponibilidadeNaData(periodo, dataReserva);
+      
+      if (disponivel) {
+        periods.push(candidato);
+      } else {
+        indisponiveis.push({ periodType: candidato.periodType, motivo });
+      }
+    }
+    
     console.log(`✅ ${periods.length} períodos disponíveis para ${isToday ? 'hoje' : 'data futura'}`);
     console.log('📋 Períodos:', periods.map(p => p.periodName));
     
     res.json({
       success: true,
       data: periods,
+      indisponiveis,
       isToday,
       availableFor: availableForFilter,
       message: `${periods.length} períodos disponíveis`,
@@ -283,78 +328,134 @@ router.patch('/:id/toggle', async (req, res) => {
 });
 
 // ✅ 7. POST /api/periods/calculate-price - Calcular preço do período
+// Usa utils/pricing.js (mesmo cálculo das reservas): período + tipo de quarto + preço
+// próprio do quarto + regras de preço. Sem preço cadastrado responde erro, sem valor padrão.
 router.post('/calculate-price', async (req, res) => {
   try {
-    const { periodType, checkIn, checkOut, roomId } = req.body;
+    const { periodType, checkIn, roomId, roomType: roomTypeId } = req.body;
     
     console.log(`💰 Calculando preço para período: ${periodType}`);
-    console.log('📋 Dados:', { periodType, checkIn, checkOut, roomId });
+    console.log('📋 Dados:', { periodType, checkIn, roomId, roomType: roomTypeId });
     
-    const db = req.app.locals.db;
+    if (!periodType || (!roomId && !roomTypeId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Informe o período (periodType) e o quarto (roomId) ou tipo de quarto (roomType)'
+      });
+    }
     
-    // Buscar dados do período no banco
-    const periodo = await db.collection('products').findOne({
-      periodType: periodType,
-      active: true
-    });
+    const data = checkIn ? new Date(checkIn) : new Date();
     
-    if (!periodo) {
-      console.log(`⚠️ Período ${periodType} não encontrado, usando preço padrão`);
-      return res.json({
-        success: true,
-        data: {
-          basePrice: 50.00,
-          totalPrice: 50.00,
-          periodType,
-          source: 'fallback',
-          warning: 'Período não encontrado, preço padrão aplicado'
-        },
-        message: 'Preço calculado (fallback)'
+    if (isNaN(data.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Data de check-in inválida'
       });
     }
     
-    let valorFinal = periodo.basePrice;
-    let calculoDetalhes = {
-      periodType,
-      basePrice: periodo.basePrice,
-      metodCalculo: 'preco_fixo',
-      periodData: periodo
-    };
+    if (roomId && !ObjectId.isValid(roomId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID do quarto inválido'
+      });
+    }
+    
+    const room = roomId ? await Room.findById(roomId) : null;
     
-    // Lógica especial para pernoite
-    if (periodType === 'pernoite') {
-      valorFinal = periodo.basePrice; // Sempre preço fixo
-      calculoDetalhes.metodCalculo = 'preco_fixo_pernoite';
-      calculoDetalhes.observacao = 'Preço fixo independente do horário de check-in';
-      console.log('🌙 Pernoite detectado - aplicando preço fixo');
+    if (roomId && (!room || !room.isActive)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quarto não encontrado'
+      });
     }
     
-    console.log(`✅ Preço calculado: R$ ${valorFinal.toFixed(2)}`);
+    const roomType = !room ? await RoomType.findOne({ id: String(roomTypeId).toLowerCase() }) : null;
+    
+    if (!room && !roomType) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tipo de quarto não encontrado'
+      });
+    }
+    
+    const precificacao = await calcularPreco({ periodoId: periodType, room, roomType, data });
+    
+    console.log(`✅ Preço calculado: R$ ${precificacao.preco.toFixed(2)}`);
     
     res.json({
       success: true,
       data: {
-        basePrice: valorFinal,
-        totalPrice: valorFinal,
-        periodType,
-        periodName: periodo.periodName,
-        calculoDetalhes,
-        source: 'database'
+        basePrice: precificacao.preco,
+        totalPrice: precificacao.preco,
+        tablePrice: precificacao.precoBase,
+        periodType: precificacao.periodo.id,
+        periodName: precificacao.periodo.nome,
+        roomType: precificacao.roomType.id,
+        roomNumber: room?.number,
+        source: precificacao.origem,
+        holiday: precificacao.feriado,
+        appliedPricingRules: precificacao.regras,
+        breakdown: precificacao.itens
       },
       message: 'Preço calculado com sucesso',
       timestamp: new Date().toISOString()
     });
   } catch (error) {
     console.error('❌ Erro ao calcular preço:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro ao calcular preço',
-      error: error.message
+    responderErro(res, error, 'Erro ao calcular preço');
+  }
+});
+
+// ✅ 8. GET /api/periods/checkout - Check-out contratado para um período e um check-in
+// GET /api/periods/checkout?periodType=pernoite&checkIn=2026-10-18T15:30
+// Chegada antes da janela de pernoite / diária: taxa ou 422 conforme Period.chegadaAntecipada
+router.get('/checkout', async (req, res) => {
+  try {
+    const { periodType, checkIn } = req.query;
+    
+    console.log('🕐 Calculando check-out:', { periodType, checkIn });
+    
+    if (!periodType) {
+      return res.status(400).json({
+        success: false,
+        message: 'Informe o período (periodType)'
+      });
+    }
+    
+    const inicio = checkIn ? new Date(checkIn) : new Date();
+    
+    if (isNaN(inicio.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Data de check-in inválida'
+      });
+    }
+    
+    const periodo = await buscarPeriodo(periodType);
+    const agenda = calcularAgenda(periodo, inicio);
+    
+    console.log(`✅ Check-out: ${agenda.checkOut.toISOString()}`);
+    
+    res.json({
+      success: true,
+      data: {
+        periodType: periodo.id,
+        periodName: periodo.nome,
+        checkIn: agenda.checkIn,
+        checkOut: agenda.checkOut,
+        durationMinutes: agenda.duracaoMinutos,
+        earlyArrival: agenda.chegadaAntecipada
+      },
+      message: 'Check-out calculado com sucesso',
+      timestamp: new Date().toISOString()
     });
+  } catch (error) {
+    console.error('❌ Erro ao calcular check-out:', error);
+    responderErro(res, error, 'Erro ao calcular check-out');
   }
 });
 
-// ✅ 8. GET /api/periods/stats - Estatísticas dos períodos
+// ✅ 9. GET /api/periods/stats - Estatísticas dos períodos
 router.get('/stats', async (req, res) => {
   try {
     console.log('📊 Gerando estatísticas dos períodos...');
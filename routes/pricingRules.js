@@ -0,0 +1,175 @@
+// routes/pricingRules.js - ROTAS DAS REGRAS DE PREÇO DINÂMICO
+const express = require('express');
+const router = express.Router();
+const PricingRule = require('../models/PricingRule');
+const RoomType = require('../models/RoomType');
+const { authenticate, authorize } = require('../middleware/auth');
+const { calcularPreco } = require('../utils/pricing');
+const { responderErro } = require('../utils/apiError');
+
+const CAMPOS_EDITAVEIS = [
+  'nome', 'periodoIds', 'roomTypeIds', 'diasSemana', 'horario', 'janelaSemanal',
+  'feriado', 'validoDe', 'validoAte', 'tipoAjuste', 'valor', 'prioridade', 'exclusiva', 'ativo'
+];
+
+// @route   GET /api/pricing-rules
+// @desc    Listar regras de preço
+// @access  Private
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const filters = {};
+    if (req.query.ativo !== undefined) filters.ativo = req.query.ativo === 'true';
+
+    const rules = await PricingRule.find(filters).sort({ prioridade: -1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      message: `${rules.length} regras encontradas`,
+      data: rules
+    });
+  } catch (error) {
+    console.error('❌ Erro ao listar regras de preço:', error);
+    responderErro(res, error, 'Erro ao listar regras de preço');
+  }
+});
+
+// @route   GET /api/pricing-rules/quote
+// @desc    Simular o preço de um tipo de quarto / período num horário, com as regras aplicadas
+// @access  Private
+router.get('/quote', authenticate, async (req, res) => {
+  try {
+    const { periodo, tipo, data } = req.query;
+
+    if (!periodo || !tipo) {
+      return res.status(400).json({
+        success: false,
+        message: 'Período e tipo de quarto são obrigatórios'
+      });
+    }
+
+    const momento = data ? new Date(data) : new Date();
+
+    if (isNaN(momento.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Data inválida'
+      });
+    }
+
+    const roomType = await RoomType.findOne({ id: tipo.toLowerCase() });
+
+    if (!roomType) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tipo de quarto não encontrado'
+      });
+    }
+
+    const { precoBase, preco, feriado, regras, itens } = await calcularPreco({
+      periodoId: periodo,
+      roomType,
+      data: momento
+    });
+
+    res.json({
+      success: true,
+      message: `Preço: R$ ${preco.toFixed(2)} (${regras.length} regras aplicadas)`,
+      data: { periodo, tipo: roomType.id, data: momento, precoBase, preco, feriado, regras, itens }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao simular preço:', error);
+    responderErro(res, error, 'Erro ao simular preço');
+  }
+});
+
+// @route   POST /api/pricing-rules
+// @desc    Criar regra de preço (dia da semana, horário, feriado, tipo de quarto)
+// @access  Private (Admin/Gerente)
+router.post('/', authenticate, authorize('admin', 'gerente'), async (req, res) => {
+  try {
+    console.log('📤 POST /api/pricing-rules', req.body);
+
+    const dados = {};
+    CAMPOS_EDITAVEIS.forEach(campo => {
+      if (req.body[campo] !== undefined) dados[campo] = req.body[campo];
+    });
+
+    const rule = new PricingRule({
+      ...dados,
+      criadoPor: req.user._id
+    });
+
+    await rule.save();
+
+    res.status(201).json({
+      success: true,
+      message: `Regra "${rule.nome}" criada com sucesso`,
+      data: rule
+    });
+  } catch (error) {
+    console.error('❌ Erro ao criar regra de preço:', error);
+    responderErro(res, error, 'Erro ao criar regra de preço');
+  }
+});
+
+// @route   PUT /api/pricing-rules/:id
+// @desc    Atualizar regra de preço
+// @access  Private (Admin/Gerente)
+router.put('/:id', authenticate, authorize('admin', 'gerente'), async (req, res) => {
+  try {
+    const rule = await PricingRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Regra não encontrada'
+      });
+    }
+
+    CAMPOS_EDITAVEIS.forEach(campo => {
+      if (req.body[campo] !== undefined) rule[campo] = req.body[campo];
+    });
+
+    rule.atualizadoPor = req.user._id;
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: `Regra "${rule.nome}" atualizada com sucesso`,
+      data: rule
+    });
+  } catch (error) {
+    console.error('❌ Erro ao atualizar regra de preço:', error);
+    responderErro(res, error, 'Erro ao atualizar regra de preço');
+  }
+});
+
+// @route   DELETE /api/pricing-rules/:id
+// @desc    Desativar regra de preço (soft delete)
+// @access  Private (Admin/Gerente)
+router.delete('/:id', authenticate, authorize('admin', 'gerente'), async (req, res) => {
+  try {
+    const rule = await PricingRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Regra não encontrada'
+      });
+    }
+
+    rule.ativo = false;
+    rule.atualizadoPor = req.user._id;
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: `Regra "${rule.nome}" desativada com sucesso`
+    });
+  } catch (error) {
+    console.error('❌ Erro ao desativar regra de preço:', error);
+    responderErro(res, error, 'Erro ao desativar regra de preço');
+  }
+});
+
+module.exports = router;
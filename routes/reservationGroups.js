@@ -0,0 +1,265 @@
+// routes/reservationGroups.js - ROTAS DE RESERVAS EM GRUPO
+const express = require('express');
+const router = express.Router();
+const ReservationGroup = require('../models/ReservationGroup');
+const { authenticate } = require('../middleware/auth');
+const { buscarTurnoInfoAtual } = require('../utils/turno');
+const {
+  buscarGrupo,
+  montarFolioGrupo,
+  criarGrupo,
+  registrarPagamentoGrupo,
+  checkInGrupo,
+  checkOutGrupo,
+  cancelarGrupo
+} = require('../utils/reservationGroups');
+const { responderErro } = require('../utils/apiError');
+
+const resumirResultados = (resultados) => {
+  const sucesso = resultados.filter(resultado => resultado.success).length;
+  return `${sucesso} de ${resultados.length} quartos`;
+};
+
+// @route   GET /api/reservation-groups
+// @desc    Listar grupos de reservas
+// @access  Private
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const filters = {};
+    if (req.query.status) filters.status = req.query.status;
+
+    const grupos = await ReservationGroup.find(filters)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(req.query.limit) || 50);
+
+    res.json({
+      success: true,
+      message: `${grupos.length} grupos encontrados`,
+      data: grupos
+    });
+  } catch (error) {
+    console.error('❌ Erro ao listar grupos:', error);
+    responderErro(res, error, 'Erro ao listar grupos');
+  }
+});
+
+// @route   GET /api/reservation-groups/:id
+// @desc    Grupo com as reservas e a conta consolidada
+// @access  Private
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const { grupo, reservations } = await buscarGrupo(req.params.id);
+    const folio = await montarFolioGrupo(grupo, reservations);
+
+    res.json({
+      success: true,
+      message: `Grupo ${grupo.groupNumber} encontrado`,
+      data: { grupo, reservations, folio }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao buscar grupo:', error);
+    responderErro(res, error, 'Erro ao buscar grupo');
+  }
+});
+
+// @route   POST /api/reservation-groups
+// @desc    Criar grupo: todas as reservas são criadas juntas ou nenhuma é
+// @access  Private
+router.post('/', authenticate, async (req, res) => {
+  try {
+    console.log('📤 POST /api/reservation-groups', req.body);
+
+    const {
+      nome,
+      customerName,
+      customerPhone,
+      customerId,
+      periodo,
+      inicio,
+      contexto,
+      tipoConta,
+      quartos,
+      observacoes
+    } = req.body;
+
+    if (!periodo) {
+      return res.status(400).json({
+        success: false,
+        message: 'Período é obrigatório'
+      });
+    }
+
+    if (contexto && !['hoje', 'agendado'].includes(contexto)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Contexto deve ser "hoje" ou "agendado"'
+      });
+    }
+
+    const { grupo, reservations } = await criarGrupo({
+      nome: nome || customerName,
+      customerName,
+      customerPhone,
+      customerId,
+      periodoId: periodo,
+      inicio,
+      contexto,
+      tipoConta,
+      quartos,
+      observacoes
+    }, req.user);
+
+    console.log(`✅ Grupo ${grupo.groupNumber} criado com ${reservations.length} quartos`);
+
+    res.status(201).json({
+      success: true,
+      message: `Grupo ${grupo.groupNumber} criado com ${reservations.length} quartos`,
+      data: { grupo, reservations }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao criar grupo:', error);
+    responderErro(res, error, 'Erro ao criar grupo');
+  }
+});
+
+// @route   GET /api/reservation-groups/:id/folio
+// @desc    Conta consolidada do grupo
+// @access  Private
+router.get('/:id/folio', authenticate, async (req, res) => {
+  try {
+    const { grupo, reservations } = await buscarGrupo(req.params.id);
+    const folio = await montarFolioGrupo(grupo, reservations);
+
+    res.json({
+      success: true,
+      message: folio.totals.balance > 0
+        ? `Saldo do grupo em aberto: R$ ${folio.totals.balance.toFixed(2)}`
+        : 'Conta do grupo quitada',
+      data: { folio }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao montar conta do grupo:', error);
+    responderErro(res, error, 'Erro ao montar conta do grupo');
+  }
+});
+
+// @route   POST /api/reservation-groups/:id/payments
+// @desc    Pagamento na conta compartilhada (distribuído entre os quartos com saldo)
+// @access  Private
+router.post('/:id/payments', authenticate, async (req, res) => {
+  try {
+    const { method, amount, valorRecebido, notes, turnoInfo } = req.body;
+    const valor = parseFloat(amount);
+
+    console.log(`💳 POST /api/reservation-groups/${req.params.id}/payments`, req.body);
+
+    if (!['cash', 'card', 'pix', 'transfer'].includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Forma de pagamento inválida (cash, card, pix ou transfer)'
+      });
+    }
+
+    if (isNaN(valor) || valor <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valor do pagamento deve ser maior que zero'
+      });
+    }
+
+    const { grupo, folio, troco } = await registrarPagamentoGrupo(req.params.id, {
+      method,
+      amount: valor,
+      valorRecebido: parseFloat(valorRecebido) || undefined,
+      notes,
+      turnoInfo: turnoInfo || await buscarTurnoInfoAtual()
+    }, req.user);
+
+    console.log(`✅ Pagamento de R$ ${valor.toFixed(2)} (${method}) no grupo ${grupo.groupNumber}`);
+
+    res.status(201).json({
+      success: true,
+      message: troco > 0
+        ? `Pagamento registrado. Troco: R$ ${troco.toFixed(2)}`
+        : 'Pagamento registrado com sucesso',
+      data: { grupo, folio, troco }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao registrar pagamento do grupo:', error);
+    responderErro(res, error, 'Erro ao registrar pagamento do grupo');
+  }
+});
+
+// @route   PATCH /api/reservation-groups/:id/checkin
+// @desc    Check-in de todos os quartos confirmados do grupo
+// @access  Private
+router.patch('/:id/checkin', authenticate, async (req, res) => {
+  try {
+    console.log(`🔑 PATCH /api/reservation-groups/${req.params.id}/checkin`);
+
+    const { grupo, reservations, resultados } = await checkInGrupo(req.params.id, req.user);
+
+    res.json({
+      success: resultados.every(resultado => resultado.success),
+      message: `Check-in do grupo ${grupo.groupNumber}: ${resumirResultados(resultados)}`,
+      data: { grupo, reservations, resultados }
+    });
+  } catch (error) {
+    console.error('❌ Erro no check-in do grupo:', error);
+    responderErro(res, error, 'Erro no check-in do grupo');
+  }
+});
+
+// @route   PATCH /api/reservation-groups/:id/checkout
+// @desc    Check-out de todos os quartos ocupados do grupo
+// @access  Private
+router.patch('/:id/checkout', authenticate, async (req, res) => {
+  try {
+    console.log(`🚪 PATCH /api/reservation-groups/${req.params.id}/checkout`);
+
+    const { grupo, reservations, resultados } = await checkOutGrupo(req.params.id, req.user);
+
+    res.json({
+      success: resultados.every(resultado => resultado.success),
+      message: `Check-out do grupo ${grupo.groupNumber}: ${resumirResultados(resultados)}`,
+      data: { grupo, reservations, resultados }
+    });
+  } catch (error) {
+    console.error('❌ Erro no check-out do grupo:', error);
+    responderErro(res, error, 'Erro no check-out do grupo');
+  }
+});
+
+// @route   PATCH /api/reservation-groups/:id/cancel
+// @desc    Cancelar todos os quartos do grupo (política de cancelamento em cada um)
+// @access  Private (reembolso acima do limite: reservas.cancelar)
+router.patch('/:id/cancel', authenticate, async (req, res) => {
+  try {
+    const { reason = '', refundMethod } = req.body;
+
+    console.log(`🚫 PATCH /api/reservation-groups/${req.params.id}/cancel`);
+
+    if (refundMethod && !['cash', 'card', 'pix', 'transfer'].includes(refundMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Forma de estorno inválida (cash, card, pix ou transfer)'
+      });
+    }
+
+    const { grupo, reservations, resultados, reembolsoTotal } = await cancelarGrupo(req.params.id, {
+      motivo: reason,
+      method: refundMethod
+    }, req.user);
+
+    res.json({
+      success: resultados.every(resultado => resultado.success),
+      message: `Cancelamento do grupo ${grupo.groupNumber}: ${resumirResultados(resultados)}`,
+      data: { grupo, reservations, resultados, reembolsoTotal }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao cancelar grupo:', error);
+    responderErro(res, error, 'Erro ao cancelar grupo');
+  }
+});
+
+module.exports = router;
@@ -1,4 +1,45 @@
-// ✅ FUNÇÃO DE EMERGÊNCIA - ADICIONAR NO INÍCIO DE routes/reservations.js
+// routes/reservations.js - ROTAS DE RESERVAS
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Reservation = require('../models/Reservation');
+const ReservationHistory = require('../models/ReservationHistory');
+const Room = require('../models/Room');
+const Period = require('../models/Period');
+const { authenticate } = require('../middleware/auth');
+const { realizarCheckIn, realizarCheckOut, transferirQuarto } = require('../utils/reservationWorkflow');
+const { garantirDisponibilidade } = require('../utils/reservationConflicts');
+const { comTransacao } = require('../utils/transaction');
+const { criarErro, responderErro } = require('../utils/apiError');
+const { definirContexto } = require('../utils/roomAvailability');
+const { calcularOverstay, acumularOverstay } = require('../utils/overstay');
+const { alterarPeriodo } = require('../utils/periodChange');
+const { calcularAgenda, cobrarChegadaAntecipada } = require('../utils/periodSchedule');
+const {
+  montarFolio,
+  registrarPagamento,
+  lancarPagamentosIniciais,
+  registrarEstorno,
+  aplicarDesconto,
+  sincronizarStatusPagamento,
+  formatarExtrato
+} = require('../utils/folio');
+const { buscarTurnoInfoAtual } = require('../utils/turno');
+const { realizarWalkIn } = require('../utils/walkIn');
+const { marcarNoShow } = require('../utils/noShow');
+const {
+  calcularReembolso,
+  cancelarReserva,
+  podeAprovarReembolso,
+  podeCancelar,
+  config: configCancelamento
+} = require('../utils/cancellation');
+const { aplicarHospedes, montarRegistroHospedes, formatarRegistroCsv } = require('../utils/guests');
+const { calcularPreco } = require('../utils/pricing');
+const { verificarDisponibilidadeNaData } = require('../utils/holidays');
+const { aplicarCupomReserva, resgatarCupomNaReserva } = require('../utils/coupons');
+
+// ✅ FUNÇÃO DE EMERGÊNCIA - BUSCA NOMES E PREÇOS DOS PERÍODOS
 const buscarPeriodosDoMongo = async () => {
   try {
     console.log('🚨 [EMERGÊNCIA] Buscando períodos...');
@@ -19,13 +60,6 @@ const buscarPeriodosDoMongo = async () => {
           'daily': 'DIÁRIA',
           'pernoite': 'PERNOITE'
         },
-        priceMap: {
-          '4h': 55.00,
-          '6h': 70.00,
-          '12h': 90.00, 
-          'daily': 120.00,
-          'pernoite': 100.00
-        },
         enumValidos: ['4h', '6h', '12h', 'daily', 'pernoite'],
         periodos: []
       };
@@ -49,13 +83,6 @@ const buscarPeriodosDoMongo = async () => {
           'daily': 'DIÁRIA',
           'pernoite': 'PERNOITE'
         },
-        priceMap: {
-          '4h': 55.00,
-          '6h': 70.00,
-          '12h': 90.00,
-          'daily': 120.00, 
-          'pernoite': 100.00
-        },
         enumValidos: ['4h', '6h', '12h', 'daily', 'pernoite'],
         periodos: []
       };
@@ -68,28 +95,24 @@ const buscarPeriodosDoMongo = async () => {
         _id: p._id,
         periodType: p.periodType || p.id,
         periodName: p.periodName || p.nome,
-        basePrice: p.basePrice || p.preco,
         active: p.active || p.ativo
       }, null, 2));
     });
     
     // Criar mapeamentos baseado no que existe
     const periodNameMap = {};
-    const priceMap = {};
     const enumValidos = [];
     
     todosPeriodos.forEach(periodo => {
       // Detectar campos dinamicamente
       const tipo = periodo.periodType || periodo.id;
       const nome = periodo.periodName || periodo.nome || tipo.toUpperCase();
-      const preco = periodo.basePrice || periodo.preco || 50;
       const ativo = periodo.active !== false && periodo.ativo !== false;
       
       if (tipo && ativo) {
         periodNameMap[tipo] = nome;
-        priceMap[tipo] = preco;
         enumValidos.push(tipo);
-        console.log(`✅ Período ativo: ${tipo} → ${nome} (R$ ${preco})`);
+        console.log(`✅ Período ativo: ${tipo} → ${nome}`);
       } else {
         console.log(`⚠️ Período inativo: ${tipo}`);
       }
@@ -99,7 +122,6 @@ const buscarPeriodosDoMongo = async () => {
     
     return {
       periodNameMap,
-      priceMap,
       enumValidos,
       periodos: todosPeriodos
     };
@@ -116,15 +138,1268 @@ const buscarPeriodosDoMongo = async () => {
         'daily': 'DIÁRIA', 
         'pernoite': 'PERNOITE'
       },
-      priceMap: {
-        '4h': 55.00,
-        '6h': 70.00,
-        '12h': 90.00,
-        'daily': 120.00,
-        'pernoite': 100.00
-      },
       enumValidos: ['4h', '6h', '12h', 'daily', 'pernoite'],
       periodos: []
     };
   }
 };
+
+// ✅ HELPERS DE DATA
+const fimDoDia = (valor) => {
+  const data = new Date(valor);
+  // Datas sem horário (YYYY-MM-DD) incluem o dia inteiro
+  if (/^\d{4}-\d{2}-\d{2}$/.test(valor)) {
+    data.setHours(23, 59, 59, 999);
+  }
+  return data;
+};
+
+const LIMITE_MAXIMO_LISTA = 100;
+
+// Texto da busca usado literalmente no $regex (sem metacaracteres do usuário)
+const escaparRegex = (texto) => String(texto).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @route   GET /api/reservations
+// @desc    Listar reservas com filtros (status, quarto, datas, período e turno)
+// @access  Private
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      roomId,
+      roomNumber,
+      dateFrom,
+      dateTo,
+      periodType,
+      turnoId,
+      turno,
+      search
+    } = req.query;
+
+    console.log('📥 GET /api/reservations - Filtros:', req.query);
+
+    const filters = {};
+
+    // Paginação: inteiros positivos, no máximo LIMITE_MAXIMO_LISTA por página
+    const pagina = Math.max(parseInt(page) || 1, 1);
+    const limite = Math.min(Math.max(parseInt(limit) || 20, 1), LIMITE_MAXIMO_LISTA);
+
+    // Status aceita lista separada por vírgula (?status=confirmed,checked-in) ou repetida
+    // (?status=confirmed&status=checked-in, que o Express entrega como array)
+    if (status) {
+      const lista = [].concat(status).flatMap(valor => String(valor).split(',')).map(valor => valor.trim()).filter(Boolean);
+      filters.status = { $in: lista };
+    }
+    if (roomId) filters.roomId = roomId;
+    if (roomNumber) filters.roomNumber = roomNumber;
+    if (periodType) filters.periodType = periodType;
+    if (turnoId) filters['turnoInfo.turnoId'] = turnoId;
+    if (turno) filters['turnoInfo.turnoNome'] = turno;
+
+    // Intervalo de datas sobre o check-in
+    if (dateFrom || dateTo) {
+      filters.checkIn = {};
+      if (dateFrom) filters.checkIn.$gte = new Date(dateFrom);
+      if (dateTo) filters.checkIn.$lte = fimDoDia(dateTo);
+    }
+
+    if (search) {
+      const termo = escaparRegex(search);
+      filters.$or = [
+        { reservationNumber: { $regex: termo, $options: 'i' } },
+        { customerName: { $regex: termo, $options: 'i' } },
+        { customerPhone: { $regex: termo, $options: 'i' } },
+        { roomNumber: { $regex: termo, $options: 'i' } }
+      ];
+    }
+
+    const reservations = await Reservation.find(filters)
+      .sort({ checkIn: -1 })
+      .limit(limite)
+      .skip((pagina - 1) * limite);
+
+    const total = await Reservation.countDocuments(filters);
+
+    console.log(`✅ ${reservations.length} reservas encontradas (total: ${total})`);
+
+    res.json({
+      success: true,
+      message: `${reservations.length} reservas encontradas`,
+      data: {
+        reservations,
+        pagination: {
+          current: pagina,
+          pages: Math.ceil(total / limite),
+          total,
+          limit: limite
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao listar reservas:', error);
+    responderErro(res, error, 'Erro ao listar reservas');
+  }
+});
+
+// @route   GET /api/reservations/guest-register
+// @desc    Registro de hóspedes (titular + acompanhantes) por data de entrada (?formato=csv)
+// @access  Private
+router.get('/guest-register', authenticate, async (req, res) => {
+  try {
+    const { inicio, fim, formato } = req.query;
+
+    console.log('📋 GET /api/reservations/guest-register', req.query);
+
+    const hoje = new Date();
+    hoje.setHours(0, 0, 0, 0);
+
+    const dataInicio = inicio ? new Date(inicio) : hoje;
+    const dataFim = fim ? new Date(fim) : new Date(dataInicio.getTime() + 24 * 60 * 60 * 1000);
+
+    if (isNaN(dataInicio.getTime()) || isNaN(dataFim.getTime()) || dataFim <= dataInicio) {
+      return res.status(400).json({
+        success: false,
+        message: 'Intervalo inválido'
+      });
+    }
+
+    const hospedes = await montarRegistroHospedes({ inicio: dataInicio, fim: dataFim });
+
+    if (formato === 'csv') {
+      res.set('Content-Disposition', `attachment; filename="registro-hospedes-${dataInicio.toISOString().slice(0, 10)}.csv"`);
+      return res.type('text/csv; charset=utf-8').send(formatarRegistroCsv(hospedes));
+    }
+
+    res.json({
+      success: true,
+      message: `${hospedes.length} hóspedes registrados`,
+      data: { inicio: dataInicio, fim: dataFim, hospedes }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao gerar registro de hóspedes:', error);
+    responderErro(res, error, 'Erro ao gerar registro de hóspedes');
+  }
+});
+
+// @route   GET /api/reservations/number/:reservationNumber
+// @desc    Buscar reserva pelo número (ex: RES20241208123456789)
+// @access  Private
+router.get('/number/:reservationNumber', authenticate, async (req, res) => {
+  try {
+    const reservation = await Reservation.findOne({
+      reservationNumber: req.params.reservationNumber.toUpperCase()
+    });
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reserva não encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Reserva encontrada',
+      data: { reservation }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao buscar reserva por número:', error);
+    responderErro(res, error, 'Erro ao buscar reserva');
+  }
+});
+
+// @route   GET /api/reservations/:id
+// @desc    Obter reserva por ID
+// @access  Private
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const reservation = await Reservation.findById(req.params.id);
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reserva não encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Reserva encontrada',
+      data: { reservation }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao buscar reserva:', error);
+    responderErro(res, error, 'Erro ao buscar reserva');
+  }
+});
+
+// @route   POST /api/reservations
+// @desc    Criar nova reserva
+// @access  Private
+router.post('/', authenticate, async (req, res) => {
+  try {
+    console.log('📤 POST /api/reservations - Criando reserva...');
+    console.log('📦 Dados recebidos:', req.body);
+
+    const {
+      customerName,
+      customerPhone,
+      customerEmail,
+      customerDocument,
+      customerId,
+      roomId,
+      checkIn,
+      periodType,
+      periodName,
+      basePrice,
+      totalPrice,
+      status = 'confirmed',
+      paymentMethod,
+      paymentStatus,
+      pagamentos,
+      notes,
+      turnoInfo,
+      contexto,
+      motivo,
+      guestCount,
+      companions,
+      couponCode
+    } = req.body;
+
+    const errors = [];
+    if (!roomId) errors.push('ID do quarto é obrigatório');
+    if (!periodType) errors.push('Tipo de período é obrigatório');
+    if (!['pending', 'confirmed'].includes(status)) {
+      errors.push('Status inicial deve ser "pending" ou "confirmed"');
+    }
+    if (pagamentos !== undefined && (!Array.isArray(pagamentos) ||
+      pagamentos.some(pagamento => !(parseFloat(pagamento.amount) > 0)))) {
+      errors.push('Pagamentos devem ser uma lista com valores maiores que zero');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors
+      });
+    }
+
+    const inicio = checkIn ? new Date(checkIn) : new Date();
+
+    if (isNaN(inicio.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Data/hora de check-in inválida'
+      });
+    }
+
+    const room = await Room.findById(roomId);
+
+    if (!room || !room.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quarto não encontrado'
+      });
+    }
+
+    // Preço, check-out e disponibilidade vêm da definição do período: sem cadastro não há venda
+    const periodo = await Period.findOne({ id: periodType, ativo: true });
+
+    if (!periodo) {
+      return res.status(404).json({
+        success: false,
+        message: `Período ${periodType} não encontrado ou inativo`
+      });
+    }
+
+    // Períodos bloqueados em fins de semana / feriados (Period.disponibilidade)
+    const { disponivel, motivo: motivoIndisponivel } = await verificarDisponibilidadeNaData(periodo, inicio);
+
+    if (!disponivel) {
+      return res.status(409).json({
+        success: false,
+        message: motivoIndisponivel
+      });
+    }
+
+    // Check-out contratado (utils/periodSchedule.js)
+    const agenda = calcularAgenda(periodo, inicio);
+    const fim = agenda.checkOut;
+
+    // Nome do período vem do MongoDB quando não informado; o preço sempre é
+    // calculado por utils/pricing.js (erro se o quarto não tiver preço para o período)
+    const { periodNameMap } = await buscarPeriodosDoMongo();
+    const precificacao = await calcularPreco({ periodo, room, data: inicio });
+    const precoBase = basePrice !== undefined ? parseFloat(basePrice) : precificacao.preco;
+    const precoTotal = totalPrice !== undefined ? parseFloat(totalPrice) : precoBase;
+
+    if (isNaN(precoBase) || isNaN(precoTotal)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Preço base ou total inválido'
+      });
+    }
+
+    // Preço diferente do calculado é um ajuste manual: exige motivo (histórico da reserva)
+    const precoAlterado = precoBase !== precificacao.preco || precoTotal !== precificacao.preco;
+
+    if (precoAlterado && !(typeof motivo === 'string' && motivo.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: `Informe o motivo do ajuste de preço (preço calculado: R$ ${precificacao.preco.toFixed(2)})`
+      });
+    }
+
+    const dadosReserva = {
+      customerName: customerName || undefined,
+      customerPhone,
+      customerEmail,
+      customerDocument,
+      customerId: customerId || null,
+      roomId: room._id,
+      roomNumber: room.number,
+      checkIn: inicio,
+      checkOut: fim,
+      periodType,
+      periodName: periodName || periodNameMap[periodType] || periodType.toUpperCase(),
+      contexto: contexto || definirContexto(inicio),
+      basePrice: precoBase,
+      totalPrice: precoTotal,
+      appliedPricingRules: precificacao.regras,
+      status,
+      paymentMethod,
+      paymentStatus: 'pending',
+      notes,
+      // Sem turnoInfo explícito, a reserva entra no turno aberto
+      turnoInfo: turnoInfo || await buscarTurnoInfoAtual(),
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    };
+
+    // Verificação de sobreposição e gravação na mesma transação
+    const reservation = await comTransacao(async (session) => {
+      await garantirDisponibilidade({
+        roomId: room._id,
+        checkIn: inicio,
+        checkOut: fim,
+        session
+      });
+
+      const novaReserva = new Reservation(dadosReserva);
+      novaReserva.auditar({
+        usuario: req.user,
+        motivo,
+        acao: precoAlterado ? 'create:price_override' : 'create'
+      });
+      await aplicarHospedes(novaReserva, { guestCount, companions }, { room, usuario: req.user, session });
+      cobrarChegadaAntecipada(novaReserva, agenda, req.user);
+      if (couponCode) {
+        await aplicarCupomReserva(novaReserva, couponCode, { room, usuario: req.user, session });
+      }
+      await lancarPagamentosIniciais(novaReserva, { pagamentos, paymentStatus }, req.user, session);
+      await novaReserva.save({ session });
+      return novaReserva;
+    });
+
+    console.log(`✅ Reserva ${reservation.reservationNumber} criada para o quarto ${room.number}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Reserva ${reservation.reservationNumber} criada com sucesso`,
+      data: { reservation }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao criar reserva:', error);
+    responderErro(res, error, 'Erro ao criar reserva');
+  }
+});
+
+// @route   POST /api/reservations/walk-in
+// @desc    Check-in rápido: escolhe o quarto, cria a reserva em checked-in e ocupa o quarto
+// @access  Private
+router.post('/walk-in', authenticate, async (req, res) => {
+  try {
+    console.log('🚶 POST /api/reservations/walk-in', req.body);
+
+    const {
+      tipo = 'any',
+      periodo,
+      andar,
+      customerId,
+      customerName,
+      customerPhone,
+      paymentMethod,
+      paymentStatus,
+      pagamentos,
+      notes,
+      guestCount,
+      companions,
+      couponCode
+    } = req.body;
+
+    if (!periodo) {
+      return res.status(400).json({
+        success: false,
+        message: 'Período é obrigatório'
+      });
+    }
+
+    if (pagamentos !== undefined && (!Array.isArray(pagamentos) ||
+      pagamentos.some(pagamento => !(parseFloat(pagamento.amount) > 0)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pagamentos devem ser uma lista com valores maiores que zero'
+      });
+    }
+
+    const { reservation, room, roomType } = await realizarWalkIn({
+      tipo,
+      periodoId: periodo,
+      andarPreferido: andar !== undefined && andar !== null ? String(andar) : null,
+      customerId,
+      customerName,
+      customerPhone,
+      paymentMethod,
+      paymentStatus,
+      pagamentos,
+      notes,
+      guestCount,
+      companions,
+      couponCode
+    }, req.user);
+
+    console.log(`✅ Walk-in ${reservation.reservationNumber} - quarto ${room.number} (${roomType.nome}) até ${reservation.checkOut.toISOString()}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Check-in realizado no quarto ${room.number}`,
+      data: { reservation, room }
+    });
+  } catch (error) {
+    console.error('❌ Erro no walk-in:', error);
+    responderErro(res, error, 'Erro ao realizar check-in rápido');
+  }
+});
+
+// Horários, período e turno têm rotas próprias (sobreposição, check-out do período e preço)
+const CAMPOS_COM_ROTA_PROPRIA = ['checkIn', 'checkOut', 'periodType', 'periodName', 'turnoInfo'];
+
+// @route   PUT /api/reservations/:id
+// @desc    Atualizar dados da reserva (cliente, quarto, preço, status, hóspedes e observações)
+//          Check-out: PATCH /:id/extend. Período: PATCH /:id/period
+// @access  Private
+router.put('/:id', authenticate, async (req, res) => {
+  try {
+    console.log(`📤 PUT /api/reservations/${req.params.id}`);
+    console.log('📦 Dados para atualizar:', req.body);
+
+    const camposBloqueados = CAMPOS_COM_ROTA_PROPRIA.filter(campo => req.body[campo] !== undefined);
+
+    if (camposBloqueados.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Horários, período e turno não são alterados por esta rota: use PATCH /api/reservations/:id/extend (check-out) ou PATCH /api/reservations/:id/period (período)',
+        campos: camposBloqueados
+      });
+    }
+
+    // Leitura, verificação de sobreposição e gravação na mesma transação
+    // (withTransaction pode repetir: tudo é lido de novo a partir da sessão)
+    const reservation = await comTransacao(async (session) => {
+      const reserva = await Reservation.findById(req.params.id).session(session);
+
+      if (!reserva) {
+        throw criarErro(404, 'Reserva não encontrada');
+      }
+
+      if (['cancelled', 'checked-out'].includes(reserva.status)) {
+        throw criarErro(400, `Reservas com status "${reserva.status}" não podem ser alteradas`);
+      }
+
+      const camposEditaveis = [
+        'customerName', 'customerPhone', 'customerEmail', 'customerDocument', 'customerId',
+        'contexto', 'basePrice', 'totalPrice', 'paymentMethod', 'notes'
+      ];
+
+      camposEditaveis.forEach(campo => {
+        if (req.body[campo] !== undefined) {
+          reserva[campo] = req.body[campo];
+        }
+      });
+
+      // Status por esta rota só alterna entre pendente e confirmada
+      if (req.body.status !== undefined && req.body.status !== reserva.status) {
+        if (!reserva.canCancel() || !['pending', 'confirmed'].includes(req.body.status)) {
+          throw criarErro(400, 'Status só pode ser alterado entre "pending" e "confirmed" por esta rota');
+        }
+        reserva.status = req.body.status;
+      }
+
+      if (req.body.roomId && req.body.roomId.toString() !== reserva.roomId.toString()) {
+        if (reserva.status === 'checked-in') {
+          throw criarErro(400, 'Não é possível trocar o quarto de uma reserva com check-in realizado');
+        }
+
+        const room = await Room.findById(req.body.roomId).session(session);
+
+        if (!room || !room.isActive) {
+          throw criarErro(404, 'Quarto não encontrado');
+        }
+
+        reserva.roomId = room._id;
+        reserva.roomNumber = room.number;
+      }
+
+      // Alteração manual de preço exige motivo (fica no histórico da reserva)
+      const alterouPreco = ['basePrice', 'totalPrice'].some(campo => reserva.isModified(campo));
+
+      if (alterouPreco && !(typeof req.body.motivo === 'string' && req.body.motivo.trim())) {
+        throw criarErro(400, 'Informe o motivo da alteração de preço');
+      }
+
+      // Hóspedes ou quarto alterados: revalida a capacidade e reprecifica o hóspede extra
+      if (req.body.guestCount !== undefined || req.body.companions !== undefined || reserva.isModified('roomId')) {
+        const room = await Room.findById(reserva.roomId).session(session);
+        await aplicarHospedes(reserva, {
+          guestCount: req.body.guestCount,
+          companions: req.body.companions
+        }, { room, usuario: req.user, session });
+      }
+
+      reserva.auditar({
+        usuario: req.user,
+        motivo: req.body.motivo,
+        acao: alterouPreco ? 'price_override' : undefined
+      });
+      reserva.updatedBy = req.user._id;
+
+      // Troca de quarto: o novo quarto precisa estar livre no mesmo horário
+      if (reserva.isModified('roomId')) {
+        await garantirDisponibilidade({
+          roomId: reserva.roomId,
+          checkIn: reserva.checkIn,
+          checkOut: reserva.checkOut,
+          excluirId: reserva._id,
+          session
+        });
+      }
+
+      await reserva.save({ session });
+      return reserva;
+    });
+
+    console.log(`✅ Reserva ${reservation.reservationNumber} atualizada`);
+
+    res.json({
+      success: true,
+      message: 'Reserva atualizada com sucesso',
+      data: { reservation }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao atualizar reserva:', error);
+    responderErro(res, error, 'Erro ao atualizar reserva');
+  }
+});
+
+// @route   PATCH /api/reservations/:id/extend
+// @desc    Estender o check-out (verifica sobreposição com a próxima reserva)
+// @access  Private
+router.patch('/:id/extend', authenticate, async (req, res) => {
+  try {
+    const { checkOut, horas, valorAdicional = 0, motivo = '' } = req.body;
+
+    console.log(`⏩ PATCH /api/reservations/${req.params.id}/extend`, req.body);
+
+    if (!checkOut && !horas) {
+      return res.status(400).json({
+        success: false,
+        message: 'Informe o novo check-out ou a quantidade de horas'
+      });
+    }
+
+    const adicional = parseFloat(valorAdicional) || 0;
+
+    if (adicional < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valor adicional não pode ser negativo'
+      });
+    }
+
+    const reservation = await comTransacao(async (session) => {
+      const reserva = await Reservation.findById(req.params.id).session(session);
+
+      if (!reserva) {
+        throw criarErro(404, 'Reserva não encontrada');
+      }
+
+      if (!['pending', 'confirmed', 'checked-in'].includes(reserva.status)) {
+        throw criarErro(400, `Não é possível estender reservas com status "${reserva.status}"`);
+      }
+
+      const novoCheckOut = checkOut
+        ? new Date(checkOut)
+        : new Date(reserva.checkOut.getTime() + parseFloat(horas) * 60 * 60 * 1000);
+
+      if (isNaN(novoCheckOut.getTime()) || novoCheckOut <= reserva.checkOut) {
+        throw criarErro(400, 'Novo check-out deve ser posterior ao check-out atual');
+      }
+
+      await garantirDisponibilidade({
+        roomId: reserva.roomId,
+        checkIn: reserva.checkIn,
+        checkOut: novoCheckOut,
+        excluirId: reserva._id,
+        session
+      });
+
+      reserva.auditar({ usuario: req.user, motivo, acao: 'extension' });
+      reserva.periodChanges.push({
+        type: 'extension',
+        fromPeriod: reserva.periodType,
+        toPeriod: reserva.periodType,
+        previousCheckOut: reserva.checkOut,
+        newCheckOut: novoCheckOut,
+        priceDifference: adicional,
+        reason: motivo,
+        changedBy: req.user._id
+      });
+
+      if (adicional > 0) {
+        reserva.aplicarCobranca({
+          type: 'extension',
+          amount: adicional,
+          description: `Extensão até ${novoCheckOut.toISOString()}`,
+          userId: req.user._id
+        });
+      }
+
+      reserva.checkOut = novoCheckOut;
+      reserva.updatedBy = req.user._id;
+      await reserva.save({ session });
+      return reserva;
+    });
+
+    console.log(`✅ Reserva ${reservation.reservationNumber} estendida até ${reservation.checkOut.toISOString()}`);
+
+    res.json({
+      success: true,
+      message: 'Reserva estendida com sucesso',
+      data: { reservation }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao estender reserva:', error);
+    responderErro(res, error, 'Erro ao estender reserva');
+  }
+});
+
+// @route   PATCH /api/reservations/:id/period
+// @desc    Trocar o período de uma reserva em andamento (ex: 4h → pernoite)
+// @access  Private
+router.patch('/:id/period', authenticate, async (req, res) => {
+  try {
+    const { periodo, motivo } = req.body;
+
+    console.log(`🔁 PATCH /api/reservations/${req.params.id}/period`, req.body);
+
+    if (!periodo) {
+      return res.status(400).json({
+        success: false,
+        message: 'Informe o novo período'
+      });
+    }
+
+    const reservation = await alterarPeriodo(req.params.id, { periodoId: periodo, motivo }, req.user);
+    const troca = reservation.periodChanges[reservation.periodChanges.length - 1];
+
+    console.log(`✅ Reserva ${reservation.reservationNumber}: ${troca.fromPeriod} → ${troca.toPeriod} (R$ ${troca.priceDifference.toFixed(2)})`);
+
+    res.json({
+      success: true,
+      message: `Período alterado para ${reservation.periodName}`,
+      data: {
+        reservation,
+        change: troca
+      }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao trocar período:', error);
+    responderErro(res, error, 'Erro ao trocar período da reserva');
+  }
+});
+
+// @route   PATCH /api/reservations/:id/transfer
+// @desc    Transferir o hóspede para outro quarto (quarto com defeito, etc.)
+// @access  Private
+router.patch('/:id/transfer', authenticate, async (req, res) => {
+  try {
+    const { roomId, roomNumber, motivo, statusQuartoAnterior = 'maintenance', reprecificar = false } = req.body;
+
+    console.log(`🔀 PATCH /api/reservations/${req.params.id}/transfer`, req.body);
+
+    if (!roomId && !roomNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Informe o quarto de destino (roomId ou roomNumber)'
+      });
+    }
+
+    if (!motivo || !motivo.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Motivo da transferência é obrigatório'
+      });
+    }
+
+    if (motivo.trim().length > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Motivo não pode ter mais de 100 caracteres'
+      });
+    }
+
+    if (!['maintenance', 'cleaning'].includes(statusQuartoAnterior)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status do quarto anterior deve ser maintenance ou cleaning'
+      });
+    }
+
+    const destino = roomId
+      ? await Room.findById(roomId)
+      : await Room.findOne({ number: roomNumber });
+
+    if (!destino) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quarto de destino não encontrado'
+      });
+    }
+
+    const { reservation, fromRoom, toRoom, ordersMoved } = await transferirQuarto(req.params.id, {
+      roomId: destino._id,
+      motivo: motivo.trim(),
+      statusQuartoAnterior,
+      reprecificar: reprecificar === true || reprecificar === 'true'
+    }, req.user);
+
+    console.log(`✅ Reserva ${reservation.reservationNumber} transferida: ${fromRoom?.number} → ${toRoom.number}`);
+
+    res.json({
+      success: true,
+      message: `Hóspede transferido para o quarto ${toRoom.number}`,
+      data: {
+        reservation,
+        fromRoom,
+        toRoom,
+        ordersMoved
+      }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao transferir quarto:', error);
+    responderErro(res, error, 'Erro ao transferir quarto');
+  }
+});
+
+// @route   GET /api/reservations/:id/history
+// @desc    Linha do tempo de alterações da reserva (quem, quando, o quê e por quê)
+// @access  Private
+router.get('/:id/history', authenticate, async (req, res) => {
+  try {
+    const reservation = await Reservation.findById(req.params.id).select('reservationNumber');
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reserva não encontrada'
+      });
+    }
+
+    const history = await ReservationHistory.find({ reservationId: reservation._id })
+      .sort({ createdAt: 1 })
+      .populate('userId', 'nomeCompleto email role');
+
+    res.json({
+      success: true,
+      message: `${history.length} alteração(ões) registradas`,
+      data: {
+        reservationNumber: reservation.reservationNumber,
+        history
+      }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao buscar histórico da reserva:', error);
+    responderErro(res, error, 'Erro ao buscar histórico da reserva');
+  }
+});
+
+// @route   GET /api/reservations/:id/overstay
+// @desc    Simular a cobrança de hora extra até agora (sem gravar)
+// @access  Private
+router.get('/:id/overstay', authenticate, async (req, res) => {
+  try {
+    const reservation = await Reservation.findById(req.params.id);
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reserva não encontrada'
+      });
+    }
+
+    const overstay = await calcularOverstay(reservation);
+
+    res.json({
+      success: true,
+      message: overstay.amount > 0
+        ? `R$ ${overstay.amount.toFixed(2)} em horas extras`
+        : 'Nenhuma hora extra a cobrar',
+      data: { overstay }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao calcular hora extra:', error);
+    responderErro(res, error, 'Erro ao calcular hora extra');
+  }
+});
+
+// @route   POST /api/reservations/:id/overstay
+// @desc    Acumular na reserva a cobrança de hora extra calculada até agora
+// @access  Private
+router.post('/:id/overstay', authenticate, async (req, res) => {
+  try {
+    const reservation = await Reservation.findById(req.params.id);
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reserva não encontrada'
+      });
+    }
+
+    if (reservation.status !== 'checked-in') {
+      return res.status(400).json({
+        success: false,
+        message: 'Horas extras só são acumuladas em reservas com check-in realizado'
+      });
+    }
+
+    const overstay = await acumularOverstay(reservation, { usuario: req.user });
+    reservation.auditar({ usuario: req.user, acao: 'overstay' });
+    reservation.updatedBy = req.user._id;
+    await reservation.save();
+
+    console.log(`⏰ Hora extra da reserva ${reservation.reservationNumber}: R$ ${overstay.amount.toFixed(2)}`);
+
+    res.json({
+      success: true,
+      message: 'Horas extras atualizadas na reserva',
+      data: { reservation, overstay }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao acumular hora extra:', error);
+    responderErro(res, error, 'Erro ao acumular hora extra');
+  }
+});
+
+// @route   GET /api/reservations/:id/cancellation-preview
+// @desc    Simular o reembolso do cancelamento pela política vigente
+// @access  Private
+router.get('/:id/cancellation-preview', authenticate, async (req, res) => {
+  try {
+    const reservation = await Reservation.findById(req.params.id);
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reserva não encontrada'
+      });
+    }
+
+    const reembolso = await calcularReembolso(reservation);
+
+    res.json({
+      success: true,
+      message: podeCancelar(reservation)
+        ? `Reembolso previsto: R$ ${reembolso.valorReembolso.toFixed(2)}`
+        : `Não é possível cancelar reservas com status "${reservation.status}"`,
+      data: { reservationId: reservation._id, podeCancelar: podeCancelar(reservation), reembolso }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao simular cancelamento:', error);
+    responderErro(res, error, 'Erro ao simular cancelamento');
+  }
+});
+
+// @route   PATCH /api/reservations/:id/cancel
+// @desc    Cancelar reserva (soft-cancel) com reembolso pela política de cancelamento
+// @access  Private (reembolso acima do limite: reservas.cancelar)
+router.patch('/:id/cancel', authenticate, async (req, res) => {
+  try {
+    const { reason = '', refundMethod } = req.body;
+
+    console.log(`🚫 PATCH /api/reservations/${req.params.id}/cancel`);
+
+    if (refundMethod && !['cash', 'card', 'pix', 'transfer'].includes(refundMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Forma de estorno inválida (cash, card, pix ou transfer)'
+      });
+    }
+
+    const { reservation, reembolso, folio } = await cancelarReserva(req.params.id, {
+      motivo: reason,
+      method: refundMethod
+    }, req.user);
+
+    console.log(`✅ Reserva ${reservation.reservationNumber} cancelada - reembolso R$ ${reembolso.valorReembolso.toFixed(2)}`);
+
+    res.json({
+      success: true,
+      message: `Reserva ${reservation.reservationNumber} cancelada com sucesso`,
+      data: { reservation, reembolso, folio }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao cancelar reserva:', error);
+    responderErro(res, error, 'Erro ao cancelar reserva');
+  }
+});
+
+// @route   PATCH /api/reservations/:id/no-show
+// @desc    Marcar manualmente uma reserva como no-show (o job faz isso automaticamente)
+// @access  Private
+router.patch('/:id/no-show', authenticate, async (req, res) => {
+  try {
+    console.log(`🚫 PATCH /api/reservations/${req.params.id}/no-show`);
+
+    const reservation = await marcarNoShow(req.params.id, { usuario: req.user });
+
+    res.json({
+      success: true,
+      message: `Reserva ${reservation.reservationNumber} marcada como no-show. Quarto ${reservation.roomNumber} liberado`,
+      data: { reservation }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao marcar no-show:', error);
+    responderErro(res, error, 'Erro ao marcar no-show');
+  }
+});
+
+// @route   PATCH /api/reservations/:id/checkin
+// @desc    Check-in: reserva → checked-in e quarto → occupied (transação única)
+// @access  Private
+router.patch('/:id/checkin', authenticate, async (req, res) => {
+  try {
+    console.log(`🔑 PATCH /api/reservations/${req.params.id}/checkin`);
+
+    const { guestCount, companions } = req.body;
+    const { reservation, room } = await realizarCheckIn(req.params.id, req.user, { guestCount, companions });
+
+    console.log(`✅ Check-in da reserva ${reservation.reservationNumber} - quarto ${room.number} ocupado`);
+
+    res.json({
+      success: true,
+      message: `Check-in realizado no quarto ${room.number}`,
+      data: { reservation, room }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao realizar check-in:', error);
+    responderErro(res, error, 'Erro ao realizar check-in');
+  }
+});
+
+// @route   GET /api/reservations/:id/folio
+// @desc    Conta detalhada do hóspede (?formato=texto para extrato impresso)
+// @access  Private
+router.get('/:id/folio', authenticate, async (req, res) => {
+  try {
+    const reservation = await Reservation.findById(req.params.id);
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reserva não encontrada'
+      });
+    }
+
+    const folio = await montarFolio(reservation);
+
+    if (req.query.formato === 'texto') {
+      return res.type('text/plain').send(formatarExtrato(folio));
+    }
+
+    res.json({
+      success: true,
+      message: folio.totals.balance > 0
+        ? `Saldo em aberto: R$ ${folio.totals.balance.toFixed(2)}`
+        : 'Conta quitada',
+      data: { folio }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao montar folio:', error);
+    responderErro(res, error, 'Erro ao montar conta da reserva');
+  }
+});
+
+// @route   POST /api/reservations/:id/payments
+// @desc    Registrar pagamento na conta da reserva
+// @access  Private
+router.post('/:id/payments', authenticate, async (req, res) => {
+  try {
+    const { method, amount, valorRecebido, notes, turnoInfo } = req.body;
+    const valor = parseFloat(amount);
+
+    console.log(`💰 POST /api/reservations/${req.params.id}/payments`, req.body);
+
+    if (!['cash', 'card', 'pix', 'transfer'].includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Forma de pagamento inválida (cash, card, pix ou transfer)'
+      });
+    }
+
+    if (isNaN(valor) || valor <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valor do pagamento deve ser maior que zero'
+      });
+    }
+
+    const reservation = await Reservation.findById(req.params.id);
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reserva não encontrada'
+      });
+    }
+
+    if (reservation.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Não é possível lançar pagamentos em reservas canceladas'
+      });
+    }
+
+    reservation.auditar({ usuario: req.user, motivo: notes, acao: 'payment' });
+
+    const { troco } = registrarPagamento(reservation, {
+      method,
+      amount: valor,
+      valorRecebido: parseFloat(valorRecebido) || undefined,
+      notes,
+      turnoInfo: turnoInfo || await buscarTurnoInfoAtual()
+    }, req.user);
+
+    const folio = await montarFolio(reservation);
+    sincronizarStatusPagamento(reservation, folio);
+    reservation.updatedBy = req.user._id;
+    await reservation.save();
+
+    console.log(`✅ Pagamento de R$ ${valor.toFixed(2)} (${method}) na reserva ${reservation.reservationNumber}`);
+
+    res.status(201).json({
+      success: true,
+      message: troco > 0
+        ? `Pagamento registrado. Troco: R$ ${troco.toFixed(2)}`
+        : 'Pagamento registrado com sucesso',
+      data: { reservation, folio, troco }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao registrar pagamento:', error);
+    responderErro(res, error, 'Erro ao registrar pagamento');
+  }
+});
+
+// @route   POST /api/reservations/:id/refunds
+// @desc    Registrar estorno no livro de pagamentos da reserva
+// @access  Private
+router.post('/:id/refunds', authenticate, async (req, res) => {
+  try {
+    const { method, amount, notes, turnoInfo } = req.body;
+    const valor = parseFloat(amount);
+
+    console.log(`↩️ POST /api/reservations/${req.params.id}/refunds`, req.body);
+
+    if (!['cash', 'card', 'pix', 'transfer'].includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Forma de estorno inválida (cash, card, pix ou transfer)'
+      });
+    }
+
+    if (isNaN(valor) || valor <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valor do estorno deve ser maior que zero'
+      });
+    }
+
+    if (typeof notes !== 'string' || !notes.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Motivo do estorno (notes) é obrigatório'
+      });
+    }
+
+    // Mesmo limite de aprovação dos reembolsos de cancelamento (utils/cancellation.js)
+    if (valor > configCancelamento.limiteSemAprovacao && !podeAprovarReembolso(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: `Estorno de R$ ${valor.toFixed(2)} exige aprovação da gerência (reservas.cancelar)`
+      });
+    }
+
+    const reservation = await Reservation.findById(req.params.id);
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reserva não encontrada'
+      });
+    }
+
+    reservation.auditar({ usuario: req.user, motivo: notes.trim(), acao: 'refund' });
+
+    // registrarEstorno recusa valores acima do total efetivamente pago
+    registrarEstorno(reservation, {
+      method,
+      amount: valor,
+      notes: notes.trim(),
+      turnoInfo: turnoInfo || await buscarTurnoInfoAtual()
+    }, req.user);
+
+    const folio = await montarFolio(reservation);
+    sincronizarStatusPagamento(reservation, folio);
+    reservation.updatedBy = req.user._id;
+    await reservation.save();
+
+    console.log(`✅ Estorno de R$ ${valor.toFixed(2)} (${method}) na reserva ${reservation.reservationNumber}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Estorno registrado com sucesso',
+      data: { reservation, folio }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao registrar estorno:', error);
+    responderErro(res, error, 'Erro ao registrar estorno');
+  }
+});
+
+// @route   POST /api/reservations/:id/coupon
+// @desc    Aplicar cupom promocional de hospedagem na reserva
+// @access  Private
+router.post('/:id/coupon', authenticate, async (req, res) => {
+  try {
+    console.log(`🎟️ POST /api/reservations/${req.params.id}/coupon`, req.body);
+
+    const { reservation, folio, cupom, valorDesconto } = await resgatarCupomNaReserva(
+      req.params.id,
+      req.body.code,
+      req.user
+    );
+
+    console.log(`✅ Cupom ${cupom.codigo} (-R$ ${valorDesconto.toFixed(2)}) na reserva ${reservation.reservationNumber}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Cupom ${cupom.codigo} aplicado: desconto de R$ ${valorDesconto.toFixed(2)}`,
+      data: { reservation, folio, discount: valorDesconto }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao aplicar cupom:', error);
+    responderErro(res, error, 'Erro ao aplicar cupom');
+  }
+});
+
+// @route   POST /api/reservations/:id/discounts
+// @desc    Conceder desconto na conta da reserva
+// @access  Private
+router.post('/:id/discounts', authenticate, async (req, res) => {
+  try {
+    const { amount, description } = req.body;
+    const valor = parseFloat(amount);
+
+    console.log(`🏷️ POST /api/reservations/${req.params.id}/discounts`, req.body);
+
+    if (isNaN(valor) || valor <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valor do desconto deve ser maior que zero'
+      });
+    }
+
+    if (!description?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Motivo do desconto é obrigatório'
+      });
+    }
+
+    const reservation = await Reservation.findById(req.params.id);
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reserva não encontrada'
+      });
+    }
+
+    if (['checked-out', 'cancelled'].includes(reservation.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Não é possível conceder desconto em reservas com status "${reservation.status}"`
+      });
+    }
+
+    reservation.auditar({ usuario: req.user, motivo: description.trim(), acao: 'discount' });
+    aplicarDesconto(reservation, { amount: valor, description: description.trim() }, req.user);
+
+    const folio = await montarFolio(reservation);
+    sincronizarStatusPagamento(reservation, folio);
+    reservation.updatedBy = req.user._id;
+    await reservation.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Desconto concedido com sucesso',
+      data: { reservation, folio }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao conceder desconto:', error);
+    responderErro(res, error, 'Erro ao conceder desconto');
+  }
+});
+
+// @route   PATCH /api/reservations/:id/checkout
+// @desc    Check-out: reserva → checked-out e quarto → cleaning (transação única)
+// @access  Private
+router.patch('/:id/checkout', authenticate, async (req, res) => {
+  try {
+    console.log(`🚪 PATCH /api/reservations/${req.params.id}/checkout`);
+
+    const { reservation, room, folio } = await realizarCheckOut(req.params.id, req.user);
+
+    console.log(`✅ Check-out da reserva ${reservation.reservationNumber} - quarto ${room.number} em limpeza`);
+
+    res.json({
+      success: true,
+      message: `Check-out realizado. Quarto ${room.number} aguardando limpeza`,
+      data: {
+        reservation,
+        room,
+        overstay: reservation.overstay,
+        totalPrice: reservation.totalPrice,
+        folio
+      }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao realizar check-out:', error);
+    responderErro(res, error, 'Erro ao realizar check-out');
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,10 @@ const mongoose = require('mongoose');
 const Room = require('../models/Room'); // ✅ IMPORTAR MODELO CORRETO
 const { authenticate } = require('../middleware/auth'); // ✅ CORRIGIDO
 const auth = authenticate; // adicionar esta linha para compatibilidade
+const { buscarQuartosDisponiveis } = require('../utils/roomAvailability');
+const { oferecerQuarto } = require('../utils/waitingList');
+const { montarLinhaDoTempo } = require('../utils/roomTimeline');
+const { responderErro } = require('../utils/apiError');
 
 // ✅ ROTA GET - LISTAR TODOS OS QUARTOS
 router.get('/', authenticate, async (req, res) => {
@@ -41,6 +45,135 @@ router.get('/', authenticate, async (req, res) => {
   }
 });
 
+// ✅ ROTA GET - QUARTOS VENDÁVEIS PARA UM PERÍODO A PARTIR DE UM HORÁRIO
+// GET /api/rooms/availability?periodo=4h&inicio=2024-12-08T22:00&tipo=premium&contexto=hoje
+router.get('/availability', authenticate, async (req, res) => {
+  try {
+    const { periodo, inicio, tipo, contexto } = req.query;
+
+    console.log('📥 GET /api/rooms/availability', req.query);
+
+    if (!periodo) {
+      return res.status(400).json({
+        success: false,
+        message: 'Período é obrigatório'
+      });
+    }
+
+    if (contexto && !['hoje', 'agendado'].includes(contexto)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Contexto deve ser "hoje" ou "agendado"'
+      });
+    }
+
+    const dataInicio = inicio ? new Date(inicio) : new Date();
+
+    if (isNaN(dataInicio.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Horário de início inválido'
+      });
+    }
+
+    const resultado = await buscarQuartosDisponiveis({
+      periodoId: periodo,
+      inicio: dataInicio,
+      tipo,
+      contexto
+    });
+
+    console.log(`✅ ${resultado.candidatos.length} quartos disponíveis para ${periodo} (${resultado.contexto})`);
+
+    res.json({
+      success: true,
+      message: `${resultado.candidatos.length} quartos disponíveis`,
+      data: {
+        periodo: {
+          id: resultado.periodo.id,
+          nome: resultado.periodo.nome,
+          tipo: resultado.periodo.tipo
+        },
+        contexto: resultado.contexto,
+        checkIn: resultado.checkIn,
+        checkOut: resultado.checkOut,
+        earlyArrival: resultado.agenda.chegadaAntecipada,
+        rooms: resultado.candidatos.map(({ room, roomType, preco, precificacao }) => ({
+          id: room._id,
+          number: room.number,
+          floor: room.floor,
+          status: room.status,
+          type: roomType.id,
+          typeName: roomType.nome,
+          checkIn: resultado.checkIn,
+          checkOut: resultado.checkOut,
+          price: preco,
+          tablePrice: precificacao.precoBase,
+          appliedPricingRules: precificacao.regras
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Erro ao buscar disponibilidade:', error);
+    responderErro(res, error, 'Erro ao buscar disponibilidade');
+  }
+});
+
+// ✅ ROTA GET - LINHA DO TEMPO DOS QUARTOS (GANTT) NUM INTERVALO
+// GET /api/rooms/timeline?inicio=2024-12-08T00:00&fim=2024-12-09T00:00&tipo=premium&andar=1
+const DIA_MS = 24 * 60 * 60 * 1000;
+const MAX_DIAS_TIMELINE = 31;
+
+router.get('/timeline', authenticate, async (req, res) => {
+  try {
+    const { inicio, fim, tipo, andar } = req.query;
+
+    console.log('📥 GET /api/rooms/timeline', req.query);
+
+    const hoje = new Date();
+    hoje.setHours(0, 0, 0, 0);
+
+    const dataInicio = inicio ? new Date(inicio) : hoje;
+    const dataFim = fim ? new Date(fim) : new Date(dataInicio.getTime() + DIA_MS);
+
+    if (isNaN(dataInicio.getTime()) || isNaN(dataFim.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Intervalo inválido'
+      });
+    }
+
+    if (dataFim <= dataInicio) {
+      return res.status(400).json({
+        success: false,
+        message: 'O fim do intervalo deve ser posterior ao início'
+      });
+    }
+
+    if (dataFim - dataInicio > MAX_DIAS_TIMELINE * DIA_MS) {
+      return res.status(400).json({
+        success: false,
+        message: `Intervalo máximo de ${MAX_DIAS_TIMELINE} dias`
+      });
+    }
+
+    const timeline = await montarLinhaDoTempo({ inicio: dataInicio, fim: dataFim, tipo, andar });
+
+    console.log(`✅ Linha do tempo de ${timeline.rooms.length} quartos`);
+
+    res.json({
+      success: true,
+      message: `Linha do tempo de ${timeline.rooms.length} quartos`,
+      data: timeline
+    });
+
+  } catch (error) {
+    console.error('❌ Erro ao montar linha do tempo:', error);
+    responderErro(res, error, 'Erro ao montar linha do tempo');
+  }
+});
+
 // ✅ ROTA GET - OBTER QUARTO POR ID
 router.get('/:id', authenticate, async (req, res) => {
   try {
@@ -115,7 +248,9 @@ router.post('/', authenticate, async (req, res) => {
       capacity: parseInt(capacity) || 2,
       floor: floor || number.toString().charAt(0) || '1',
       description: description || `Quarto ${number} - ${type}`,
-      amenities
+      amenities,
+      // Preço próprio do quarto por período (sobrepõe o do tipo no cálculo de preço)
+      periods: Array.isArray(periods) ? periods : []
     };
     
     // Configurar preços
@@ -306,6 +441,22 @@ router.patch('/:id/status', authenticate, async (req, res) => {
     }
     
     const updateData = { status };
+    const anterior = await Room.findById(req.params.id).select('status');
+    
+    // Limpeza concluída: registrar horário para o rodízio de quartos do walk-in
+    if (status === 'available' && anterior?.status === 'cleaning') {
+      updateData.lastCleaned = new Date();
+    }
+    
+    // Início da manutenção (exibido na linha do tempo dos quartos)
+    if (status === 'maintenance' && anterior?.status !== 'maintenance') {
+      updateData.maintenanceSince = new Date();
+    }
+    
+    // Início da limpeza (previsão de liberação da fila de espera)
+    if (status === 'cleaning' && anterior?.status !== 'cleaning') {
+      updateData.cleaningSince = new Date();
+    }
     
     // Se for manutenção e tiver motivo, adicionar
     if (status === 'maintenance' && maintenanceReason) {
@@ -314,7 +465,12 @@ router.patch('/:id/status', authenticate, async (req, res) => {
     
     // Se não for manutenção, remover motivo anterior
     if (status !== 'maintenance') {
-      updateData.$unset = { maintenanceReason: 1 };
+      updateData.$unset = { maintenanceReason: 1, maintenanceSince: 1 };
+    }
+    
+    // Fora da limpeza, o início da limpeza anterior deixa de valer
+    if (status !== 'cleaning') {
+      updateData.$unset = { ...updateData.$unset, cleaningSince: 1 };
     }
     
     const room = await Room.findByIdAndUpdate(
@@ -332,10 +488,24 @@ router.patch('/:id/status', authenticate, async (req, res) => {
     
     console.log(`✅ Status do quarto ${room.number} alterado para: ${status}`);
     
+    // Quarto recém-limpo vai automaticamente para o próximo da fila de espera.
+    // O status já foi gravado: falha na oferta só é registrada, não vira erro da rota
+    let offer = null;
+    if (updateData.lastCleaned) {
+      try {
+        offer = await oferecerQuarto(room);
+      } catch (error) {
+        console.error(`❌ Erro ao oferecer o quarto ${room.number} para a fila de espera:`, error);
+      }
+    }
+    
     res.json({
       success: true,
-      message: `Status alterado para: ${status}`,
-      data: room
+      message: offer
+        ? `Status alterado para: ${status}. Quarto oferecido para ${offer.customerName}`
+        : `Status alterado para: ${status}`,
+      data: room,
+      offer
     });
     
   } catch (error) {
@@ -0,0 +1,181 @@
+// routes/turnos.js - ROTAS DE TURNOS (ABERTURA, FECHAMENTO E TURNO ATUAL)
+const express = require('express');
+const router = express.Router();
+const Turno = require('../models/Turno');
+const { authenticate } = require('../middleware/auth');
+const { abrirTurno, fecharTurno, calcularTotaisEsperados } = require('../utils/turno');
+const { responderErro } = require('../utils/apiError');
+
+// @route   GET /api/turnos
+// @desc    Listar turnos (mais recentes primeiro)
+// @access  Private
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const filters = {};
+    if (status) filters.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [turnos, total] = await Promise.all([
+      Turno.find(filters).sort({ abertoEm: -1 }).skip(skip).limit(parseInt(limit)),
+      Turno.countDocuments(filters)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        turnos,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / parseInt(limit)),
+          total,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao listar turnos:', error);
+    responderErro(res, error, 'Erro ao listar turnos');
+  }
+});
+
+// @route   GET /api/turnos/atual
+// @desc    Turno aberto com os totais esperados até agora
+// @access  Private
+router.get('/atual', authenticate, async (req, res) => {
+  try {
+    const turno = await Turno.findAberto();
+
+    if (!turno) {
+      return res.status(404).json({
+        success: false,
+        message: 'Nenhum turno aberto'
+      });
+    }
+
+    const resumo = await calcularTotaisEsperados(turno);
+
+    res.json({
+      success: true,
+      data: {
+        turno,
+        resumo,
+        dinheiroEsperado: turno.fundoInicial + resumo.totais.dinheiro
+      }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao buscar turno atual:', error);
+    responderErro(res, error, 'Erro ao buscar turno atual');
+  }
+});
+
+// @route   POST /api/turnos/abrir
+// @desc    Abrir turno com fundo de caixa
+// @access  Private
+router.post('/abrir', authenticate, async (req, res) => {
+  try {
+    const { nome, fundoInicial = 0 } = req.body;
+
+    console.log('🕐 POST /api/turnos/abrir', req.body);
+
+    if (!nome) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nome do turno é obrigatório'
+      });
+    }
+
+    const fundo = parseFloat(fundoInicial);
+
+    if (isNaN(fundo) || fundo < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fundo inicial deve ser um valor válido'
+      });
+    }
+
+    const turno = await abrirTurno({ nome, fundoInicial: fundo }, req.user);
+
+    console.log(`✅ Turno ${turno.nome} aberto por ${turno.funcionarioNome}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Turno ${turno.nome} aberto`,
+      data: { turno }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao abrir turno:', error);
+    responderErro(res, error, 'Erro ao abrir turno');
+  }
+});
+
+// @route   POST /api/turnos/:id/fechar
+// @desc    Fechar turno informando o dinheiro contado na gaveta
+// @access  Private
+router.post('/:id/fechar', authenticate, async (req, res) => {
+  try {
+    const { dinheiroContado, observacoes } = req.body;
+    const contado = parseFloat(dinheiroContado);
+
+    console.log(`🕐 POST /api/turnos/${req.params.id}/fechar`, req.body);
+
+    if (isNaN(contado) || contado < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Informe o dinheiro contado no caixa'
+      });
+    }
+
+    const { turno, resumo, dinheiroEsperado } = await fecharTurno(req.params.id, {
+      dinheiroContado: contado,
+      observacoes
+    }, req.user);
+
+    console.log(`✅ Turno ${turno.nome} fechado - diferença de caixa: R$ ${turno.diferenca.toFixed(2)}`);
+
+    res.json({
+      success: true,
+      message: turno.diferenca === 0
+        ? 'Turno fechado. Caixa conferido sem diferença'
+        : `Turno fechado com diferença de R$ ${turno.diferenca.toFixed(2)}`,
+      data: {
+        turno,
+        resumo,
+        dinheiroEsperado
+      }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao fechar turno:', error);
+    responderErro(res, error, 'Erro ao fechar turno');
+  }
+});
+
+// @route   GET /api/turnos/:id
+// @desc    Detalhes do turno com totais esperados
+// @access  Private
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const turno = await Turno.findById(req.params.id);
+
+    if (!turno) {
+      return res.status(404).json({
+        success: false,
+        message: 'Turno não encontrado'
+      });
+    }
+
+    const resumo = await calcularTotaisEsperados(turno);
+
+    res.json({
+      success: true,
+      data: { turno, resumo }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao buscar turno:', error);
+    responderErro(res, error, 'Erro ao buscar turno');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,178 @@
+// routes/waitingList.js - ROTAS DA FILA DE ESPERA DE WALK-INS
+const express = require('express');
+const router = express.Router();
+const WaitingListEntry = require('../models/WaitingListEntry');
+const Room = require('../models/Room');
+const { authenticate } = require('../middleware/auth');
+const {
+  estimarFila,
+  estimarNovaEntrada,
+  oferecerQuarto,
+  aceitarOferta
+} = require('../utils/waitingList');
+const { responderErro } = require('../utils/apiError');
+
+// @route   GET /api/waiting-list
+// @desc    Fila ativa com posição e previsão de espera
+// @access  Private
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const fila = await estimarFila();
+
+    res.json({
+      success: true,
+      message: `${fila.length} cliente(s) na fila`,
+      data: fila.map(({ entrada, ...previsao }) => ({
+        ...entrada.toObject(),
+        ...previsao
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Erro ao listar fila de espera:', error);
+    responderErro(res, error, 'Erro ao listar fila de espera');
+  }
+});
+
+// @route   GET /api/waiting-list/estimate
+// @desc    Previsão de espera para um novo cliente (?tipo=&periodo=)
+// @access  Private
+router.get('/estimate', authenticate, async (req, res) => {
+  try {
+    const { tipo = 'any', periodo } = req.query;
+
+    const { entrada, ...previsao } = await estimarNovaEntrada({ tipo, periodoId: periodo });
+
+    res.json({
+      success: true,
+      message: previsao.esperaMinutos !== null
+        ? `Espera estimada: ${previsao.esperaMinutos} minuto(s)`
+        : 'Sem previsão de quarto livre para este tipo',
+      data: previsao
+    });
+  } catch (error) {
+    console.error('❌ Erro ao estimar espera:', error);
+    responderErro(res, error, 'Erro ao estimar espera');
+  }
+});
+
+// @route   POST /api/waiting-list
+// @desc    Colocar cliente na fila de espera
+// @access  Private
+router.post('/', authenticate, async (req, res) => {
+  try {
+    console.log('🚗 POST /api/waiting-list', req.body);
+
+    const { customerName, customerPhone, customerId, placa, tipo = 'any', periodo, observacoes } = req.body;
+
+    const entrada = new WaitingListEntry({
+      customerName,
+      customerPhone,
+      customerId: customerId || null,
+      placa,
+      tipo,
+      periodoId: periodo,
+      observacoes,
+      criadoPor: req.user._id
+    });
+
+    await entrada.save();
+
+    const fila = await estimarFila();
+    const previsao = fila.find(item => item.entrada._id.equals(entrada._id));
+
+    res.status(201).json({
+      success: true,
+      message: `${entrada.customerName} entrou na fila na posição ${previsao.posicao}`,
+      data: {
+        ...entrada.toObject(),
+        posicao: previsao.posicao,
+        roomNumber: previsao.roomNumber,
+        previsaoEm: previsao.previsaoEm,
+        esperaMinutos: previsao.esperaMinutos
+      }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao adicionar na fila:', error);
+    responderErro(res, error, 'Erro ao adicionar na fila de espera');
+  }
+});
+
+// @route   PATCH /api/waiting-list/:id/accept
+// @desc    Cliente aceitou o quarto oferecido: check-in imediato
+// @access  Private
+router.patch('/:id/accept', authenticate, async (req, res) => {
+  try {
+    const { paymentMethod, paymentStatus, pagamentos, notes } = req.body;
+
+    console.log(`✅ PATCH /api/waiting-list/${req.params.id}/accept`);
+
+    const { reservation, room, entrada } = await aceitarOferta(req.params.id, {
+      paymentMethod,
+      paymentStatus,
+      pagamentos,
+      notes
+    }, req.user);
+
+    res.json({
+      success: true,
+      message: `${entrada.customerName} fez check-in no quarto ${room.number}`,
+      data: { entrada, reservation, room }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao aceitar oferta da fila:', error);
+    responderErro(res, error, 'Erro ao aceitar oferta da fila');
+  }
+});
+
+// @route   PATCH /api/waiting-list/:id/cancel
+// @desc    Cliente desistiu da fila (o quarto oferecido vai para o próximo)
+// @access  Private
+router.patch('/:id/cancel', authenticate, async (req, res) => {
+  try {
+    const entrada = await WaitingListEntry.findById(req.params.id);
+
+    if (!entrada) {
+      return res.status(404).json({
+        success: false,
+        message: 'Entrada da fila não encontrada'
+      });
+    }
+
+    if (!['aguardando', 'oferecido'].includes(entrada.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Entrada com status "${entrada.status}" não está na fila`
+      });
+    }
+
+    const ofertaAnterior = entrada.status === 'oferecido' ? entrada.quartoOferecido.roomId : null;
+
+    entrada.status = 'desistiu';
+    entrada.atualizadoPor = req.user._id;
+    await entrada.save();
+
+    let proximaOferta = null;
+    if (ofertaAnterior) {
+      const room = await Room.findById(ofertaAnterior);
+      // A saída da fila já foi gravada: falha na nova oferta só é registrada
+      if (room && room.status === 'available') {
+        try {
+          proximaOferta = await oferecerQuarto(room);
+        } catch (error) {
+          console.error(`❌ Erro ao oferecer o quarto ${room.number} para a fila de espera:`, error);
+        }
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `${entrada.customerName} saiu da fila`,
+      data: { entrada, proximaOferta }
+    });
+  } catch (error) {
+    console.error('❌ Erro ao remover da fila:', error);
+    responderErro(res, error, 'Erro ao remover da fila de espera');
+  }
+});
+
+module.exports = router;
@@ -69,6 +69,15 @@ app.get('/', (req, res) => {
     '/api/products',              // ✅ PERÍODOS DE QUARTOS
     '/api/restaurant-products',   // ✅ NOVO - PRODUTOS DE COZINHA
     '/api/dashboard',
+    '/api/overstay-rules',
+    '/api/turnos',
+    '/api/waiting-list',
+    '/api/cancellation-policies',
+    '/api/calendar-feeds',
+    '/api/reservation-groups',
+    '/api/pricing-rules',
+    '/api/holidays',
+    '/api/coupons',
     '/debug/room-types',
     '/debug/restaurant-products'
   ];
@@ -337,6 +346,33 @@ try {
   app.use('/api/dashboard', require('./routes/dashboard'));
   console.log('✅ Rota /api/dashboard registrada');
 
+  app.use('/api/overstay-rules', require('./routes/overstayRules'));
+  console.log('✅ Rota /api/overstay-rules registrada');
+
+  app.use('/api/turnos', require('./routes/turnos'));
+  console.log('✅ Rota /api/turnos registrada');
+
+  app.use('/api/waiting-list', require('./routes/waitingList'));
+  console.log('✅ Rota /api/waiting-list registrada');
+
+  app.use('/api/cancellation-policies', require('./routes/cancellationPolicies'));
+  console.log('✅ Rota /api/cancellation-policies registrada');
+
+  app.use('/api/calendar-feeds', require('./routes/calendarFeeds'));
+  console.log('✅ Rota /api/calendar-feeds registrada');
+
+  app.use('/api/reservation-groups', require('./routes/reservationGroups'));
+  console.log('✅ Rota /api/reservation-groups registrada');
+
+  app.use('/api/pricing-rules', require('./routes/pricingRules'));
+  console.log('✅ Rota /api/pricing-rules registrada');
+
+  app.use('/api/holidays', require('./routes/holidays'));
+  console.log('✅ Rota /api/holidays registrada');
+
+  app.use('/api/coupons', require('./routes/coupons'));
+  console.log('✅ Rota /api/coupons registrada');
+
 } catch (error) {
   console.error('❌ Erro ao registrar rotas:', error);
   
@@ -395,6 +431,15 @@ app.use('*', (req, res) => {
     '/api/products',              // Períodos de quartos
     '/api/restaurant-products',   // ✅ NOVO - Produtos de cozinha
     '/api/dashboard',
+    '/api/overstay-rules',
+    '/api/turnos',
+    '/api/waiting-list',
+    '/api/cancellation-policies',
+    '/api/calendar-feeds',
+    '/api/reservation-groups',
+    '/api/pricing-rules',
+    '/api/holidays',
+    '/api/coupons',
     '/debug/room-types',
     '/debug/restaurant-products'  // ✅ NOVO DEBUG
   ];
@@ -429,6 +474,12 @@ const startServer = async () => {
   try {
     await connectDB();
     
+    // ✅ CALENDÁRIO DE FERIADOS (CARGA INICIAL QUANDO VAZIO)
+    await require('./utils/holidays').semearFeriados();
+    
+    // ✅ JOBS EM SEGUNDO PLANO
+    require('./utils/noShow').iniciarJobNoShow();
+    
     app.listen(PORT, () => {
       console.log('🚀 Servidor iniciado com sucesso!');
       console.log(`🌐 URL: http://localhost:${PORT}`);
@@ -442,14 +493,46 @@ const startServer = async () => {
       console.log('    GET  /api/users - Listar usuários');
       console.log('    GET  /api/rooms - Listar quartos');
       console.log('    POST /api/rooms - Criar quarto');
+      console.log('    GET  /api/rooms/availability - Quartos disponíveis por período');
+      console.log('    GET  /api/rooms/timeline - Linha do tempo dos quartos (Gantt)');
       console.log('    GET  /api/room-types - Listar tipos');
       console.log('    POST /api/room-types - Criar tipo');
       console.log('    POST /api/room-types/init - Init tipos');
       console.log('    GET  /api/periods - Listar períodos');
       console.log('    POST /api/periods - Criar período');
       console.log('    POST /api/periods/calculate-price - Calcular preço');
+      console.log('    GET  /api/periods/checkout - Calcular check-out do período');
       console.log('    GET  /api/reservations - Listar reservas');
       console.log('    POST /api/reservations - Criar reserva');
+      console.log('    POST /api/reservations/walk-in - Check-in rápido');
+      console.log('    PUT  /api/reservations/:id - Editar reserva');
+      console.log('    PATCH /api/reservations/:id/extend - Estender reserva');
+      console.log('    PATCH /api/reservations/:id/period - Trocar período');
+      console.log('    PATCH /api/reservations/:id/transfer - Transferir quarto');
+      console.log('    GET  /api/reservations/:id/overstay - Simular hora extra');
+      console.log('    POST /api/reservations/:id/overstay - Acumular hora extra');
+      console.log('    GET  /api/overstay-rules - Regras de hora extra');
+      console.log('    POST /api/turnos/abrir - Abrir turno');
+      console.log('    GET  /api/turnos/atual - Turno aberto');
+      console.log('    POST /api/turnos/:id/fechar - Fechar turno');
+      console.log('    GET  /api/waiting-list - Fila de espera com previsão');
+      console.log('    POST /api/waiting-list - Entrar na fila de espera');
+      console.log('    PATCH /api/reservations/:id/cancel - Cancelar reserva (com reembolso)');
+      console.log('    GET  /api/cancellation-policies - Políticas de cancelamento');
+      console.log('    GET  /api/calendar-feeds/:token.ics - Feed iCalendar das reservas');
+      console.log('    POST /api/reservation-groups - Reserva em grupo (vários quartos)');
+      console.log('    GET  /api/pricing-rules/quote - Simular preço com regras dinâmicas');
+      console.log('    POST /api/holidays/import - Importar feriados (CSV ou iCal)');
+      console.log('    POST /api/coupons - Criar cupom promocional');
+      console.log('    POST /api/reservations/:id/coupon - Aplicar cupom na reserva');
+      console.log('    GET  /api/reservations/:id/history - Histórico de alterações');
+      console.log('    PATCH /api/reservations/:id/checkin - Check-in');
+      console.log('    GET  /api/reservations/guest-register - Registro de hóspedes');
+      console.log('    PATCH /api/reservations/:id/checkout - Check-out');
+      console.log('    PATCH /api/reservations/:id/no-show - Marcar no-show');
+      console.log('    GET  /api/reservations/:id/folio - Conta do hóspede');
+      console.log('    POST /api/reservations/:id/payments - Registrar pagamento');
+      console.log('    POST /api/reservations/:id/refunds - Registrar estorno');
       console.log('    GET  /api/products - Listar produtos (PERÍODOS)');
       console.log('    GET  /api/restaurant-products - Listar produtos COZINHA');
       console.log('    POST /api/restaurant-products - Criar produto COZINHA');
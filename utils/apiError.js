@@ -0,0 +1,48 @@
+// utils/apiError.js - ERROS COM STATUS HTTP PARA AS REGRAS DE NEGÓCIO
+// As rotas respondem com error.status e incluem error.data no corpo da resposta.
+const criarErro = (status, message, data = null) => {
+  const error = new Error(message);
+  error.status = status;
+  error.data = data;
+  return error;
+};
+
+// ✅ RESPOSTA PADRÃO DE ERRO DAS ROTAS
+// Validação e formato inválido = 400, regra de negócio = error.status, demais = 500
+const responderErro = (res, error, mensagem) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Dados inválidos',
+      errors
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Formato de dados inválido',
+      error: error.message
+    });
+  }
+
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      ...(error.data || {})
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: mensagem,
+    error: error.message
+  });
+};
+
+module.exports = {
+  criarErro,
+  responderErro
+};
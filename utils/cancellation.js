@@ -0,0 +1,188 @@
+// utils/cancellation.js - CANCELAMENTO DE RESERVAS COM POLÍTICA DE REEMBOLSO
+const Reservation = require('../models/Reservation');
+const Room = require('../models/Room');
+const CancellationPolicy = require('../models/CancellationPolicy');
+const { hasPermission } = require('../middleware/permissions');
+const { comTransacao } = require('./transaction');
+const { criarErro } = require('./apiError');
+const { montarFolio, registrarEstorno, sincronizarStatusPagamento } = require('./folio');
+const { buscarTurnoInfoAtual } = require('./turno');
+const { estornarCupom } = require('./coupons');
+
+const HORA_MS = 60 * 60 * 1000;
+
+// ✅ CONFIGURAÇÃO (VARIÁVEIS DE AMBIENTE)
+const config = {
+  // Reembolsos acima deste valor exigem a permissão reservas.cancelar (gerência)
+  limiteSemAprovacao: parseFloat(process.env.CANCELAMENTO_LIMITE_SEM_APROVACAO) || 100
+};
+
+// Sem política cadastrada: reembolso integral com 24h de antecedência, metade depois disso
+const POLITICA_PADRAO = {
+  nome: 'Padrão do sistema',
+  horasReembolsoIntegral: 24,
+  percentualReembolsoParcial: 50,
+  reembolsarWalkIn: false
+};
+
+const arredondar = (valor) => Math.round(valor * 100) / 100;
+
+// Permissão do role ou liberada individualmente no cadastro do usuário
+const podeAprovarReembolso = (usuario) =>
+  hasPermission(usuario, 'reservas.cancelar') || usuario?.permissoes?.reservas?.cancelar === true;
+
+// Walk-in já entra com check-in feito (utils/walkIn.js): também pode ser cancelado
+// (ex: cliente desistiu no quarto), sempre pela regra de walk-in da política
+const podeCancelar = (reservation) =>
+  reservation.canCancel() || (reservation.origem === 'walk-in' && reservation.status === 'checked-in');
+
+// ✅ CALCULA O REEMBOLSO DE UM CANCELAMENTO (SEM ALTERAR A RESERVA)
+const calcularReembolso = async (reservation, { agora = new Date(), session = null } = {}) => {
+  const politica = await CancellationPolicy.buscarPoliticaAplicavel(reservation.periodType, { session })
+    || POLITICA_PADRAO;
+
+  const folio = await montarFolio(reservation, { session });
+  const valorPago = Math.max(folio.totals.paid, 0);
+  const horasAntecedencia = Math.round((reservation.checkIn - agora) / HORA_MS * 100) / 100;
+
+  let percentual;
+  let regra;
+
+  if (reservation.origem === 'walk-in') {
+    percentual = politica.reembolsarWalkIn ? 100 : 0;
+    regra = 'walk-in';
+  } else if (horasAntecedencia >= politica.horasReembolsoIntegral) {
+    percentual = 100;
+    regra = 'integral';
+  } else if (horasAntecedencia > 0) {
+    percentual = politica.percentualReembolsoParcial;
+    regra = 'parcial';
+  } else {
+    percentual = 0;
+    regra = 'apos_checkin';
+  }
+
+  const valorReembolso = arredondar(valorPago * percentual / 100);
+
+  return {
+    politica: {
+      _id: politica._id || null,
+      nome: politica.nome,
+      horasReembolsoIntegral: politica.horasReembolsoIntegral,
+      percentualReembolsoParcial: politica.percentualReembolsoParcial
+    },
+    regra,
+    horasAntecedencia,
+    percentual,
+    valorPago,
+    valorReembolso,
+    valorRetido: arredondar(valorPago - valorReembolso),
+    exigeAprovacao: valorReembolso > config.limiteSemAprovacao
+  };
+};
+
+// Estorno sai na forma do último pagamento, salvo indicação contrária
+const metodoDoReembolso = (reservation, method) => {
+  if (method) return method;
+  const pagamentos = reservation.payments.filter(p => (p.type || 'payment') === 'payment');
+  return pagamentos.length > 0 ? pagamentos[pagamentos.length - 1].method : 'cash';
+};
+
+// ✅ CANCELA A RESERVA, LANÇA O ESTORNO E RETÉM O RESTANTE
+// A estadia sai da conta e fica apenas o valor retido, como no no-show (utils/noShow.js).
+const cancelarReserva = async (reservationId, { motivo, method, agora = new Date() }, usuario) => {
+  // Corpo JSON pode trazer qualquer tipo: só texto não vazio é motivo válido
+  if (typeof motivo !== 'string' || !motivo.trim()) {
+    throw criarErro(400, 'Motivo do cancelamento é obrigatório');
+  }
+
+  return comTransacao(async (session) => {
+    const reservation = await Reservation.findById(reservationId).session(session);
+
+    if (!reservation) {
+      throw criarErro(404, 'Reserva não encontrada');
+    }
+
+    if (!podeCancelar(reservation)) {
+      throw criarErro(400, `Não é possível cancelar reservas com status "${reservation.status}"`);
+    }
+
+    const estavaNoQuarto = reservation.status === 'checked-in';
+
+    const reembolso = await calcularReembolso(reservation, { agora, session });
+
+    if (reembolso.exigeAprovacao && !podeAprovarReembolso(usuario)) {
+      throw criarErro(
+        403,
+        `Reembolso de R$ ${reembolso.valorReembolso.toFixed(2)} exige aprovação da gerência (reservas.cancelar)`,
+        { reembolso }
+      );
+    }
+
+    reservation.auditar({ usuario, motivo: motivo.trim(), acao: 'cancel' });
+
+    if (reembolso.valorReembolso > 0) {
+      registrarEstorno(reservation, {
+        method: metodoDoReembolso(reservation, method),
+        amount: reembolso.valorReembolso,
+        notes: `Cancelamento: ${motivo.trim()}`,
+        turnoInfo: await buscarTurnoInfoAtual(session)
+      }, usuario);
+    }
+
+    reservation.aplicarCobranca({
+      type: 'cancellation',
+      amount: reembolso.valorRetido - reservation.totalPrice,
+      description: reembolso.valorRetido > 0
+        ? `Cancelamento (${reembolso.politica.nome}): retido R$ ${reembolso.valorRetido.toFixed(2)}`
+        : 'Cancelamento: estadia não utilizada',
+      userId: usuario?._id
+    });
+
+    // Cupom usado na reserva volta a ficar disponível
+    await estornarCupom({ reservationId: reservation._id }, usuario, session);
+
+    reservation.status = 'cancelled';
+    reservation.cancelReason = motivo.trim();
+    reservation.cancelledAt = agora;
+    reservation.cancelledBy = usuario?._id;
+    reservation.cancellation = {
+      policyId: reembolso.politica._id,
+      policyName: reembolso.politica.nome,
+      rule: reembolso.regra,
+      hoursBefore: reembolso.horasAntecedencia,
+      refundPercent: reembolso.percentual,
+      refundAmount: reembolso.valorReembolso,
+      retainedAmount: reembolso.valorRetido
+    };
+    reservation.updatedBy = usuario?._id;
+
+    const folio = await montarFolio(reservation, { session });
+    sincronizarStatusPagamento(reservation, folio);
+
+    await reservation.save({ session });
+
+    // Walk-in cancelado com o hóspede no quarto: quarto vai para limpeza, como no check-out
+    if (estavaNoQuarto) {
+      await Room.updateOne(
+        { _id: reservation.roomId },
+        {
+          $set: { status: 'cleaning', cleaningSince: agora, updatedBy: usuario?._id },
+          $unset: { maintenanceReason: 1, maintenanceSince: 1 }
+        },
+        { session }
+      );
+    }
+
+    return { reservation, reembolso, folio };
+  });
+};
+
+module.exports = {
+  config,
+  POLITICA_PADRAO,
+  podeAprovarReembolso,
+  podeCancelar,
+  calcularReembolso,
+  cancelarReserva
+};
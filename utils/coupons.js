@@ -0,0 +1,272 @@
+// utils/coupons.js - VALIDAÇÃO, RESGATE E ESTORNO DE CUPONS PROMOCIONAIS
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Reservation = require('../models/Reservation');
+const Room = require('../models/Room');
+const { comTransacao } = require('./transaction');
+const { criarErro } = require('./apiError');
+const { montarFolio, aplicarDesconto, sincronizarStatusPagamento } = require('./folio');
+
+const DIAS_SEMANA = ['domingo', 'segunda', 'terça', 'quarta', 'quinta', 'sexta', 'sábado'];
+
+// Reservas fechadas não recebem cupom nem estorno de uso
+const STATUS_RESERVA_SEM_CUPOM = ['checked-out', 'cancelled', 'no-show'];
+
+const arredondar = (valor) => Math.round(valor * 100) / 100;
+
+const formatarData = (data) => new Date(data).toLocaleDateString('pt-BR');
+
+// ✅ O CUPOM VALE PARA ESTA RESERVA / PEDIDO? (LANÇA O MOTIVO QUANDO NÃO VALE)
+// Cupons de hospedagem usam o check-in como data de referência; de pedido, o momento do pedido.
+const validarCupom = (cupom, { aplicaEm, periodoId = null, roomTypeId = null, data = new Date() }) => {
+  if (!cupom) {
+    throw criarErro(404, 'Cupom não encontrado');
+  }
+
+  const codigo = cupom.codigo;
+
+  if (!cupom.ativo) {
+    throw criarErro(422, `Cupom ${codigo} está inativo`);
+  }
+
+  if (cupom.validoDe && data < cupom.validoDe) {
+    throw criarErro(422, `Cupom ${codigo} vale a partir de ${formatarData(cupom.validoDe)}`);
+  }
+
+  if (cupom.validoAte && data >= cupom.validoAte) {
+    throw criarErro(422, `Cupom ${codigo} expirou em ${formatarData(cupom.validoAte)}`);
+  }
+
+  if (cupom.aplicaEm !== aplicaEm) {
+    throw criarErro(422, cupom.aplicaEm === 'reserva'
+      ? `Cupom ${codigo} vale apenas para hospedagem`
+      : `Cupom ${codigo} vale apenas para pedidos`);
+  }
+
+  if (cupom.periodoIds?.length > 0 && !cupom.periodoIds.includes(periodoId)) {
+    throw criarErro(422, `Cupom ${codigo} não vale para o período ${periodoId}`);
+  }
+
+  if (cupom.roomTypeIds?.length > 0 && !cupom.roomTypeIds.includes(roomTypeId)) {
+    throw criarErro(422, `Cupom ${codigo} não vale para quartos do tipo ${roomTypeId}`);
+  }
+
+  if (cupom.diasSemana?.length > 0 && !cupom.diasSemana.includes(data.getDay())) {
+    throw criarErro(422, `Cupom ${codigo} vale apenas ${cupom.diasSemana.map(dia => DIAS_SEMANA[dia]).join(', ')}`);
+  }
+
+  if (cupom.limiteUsos !== null && cupom.usos >= cupom.limiteUsos) {
+    throw criarErro(422, `Cupom ${codigo} esgotado`);
+  }
+};
+
+// ✅ VALOR DO DESCONTO SOBRE A BASE (LIMITADO AO TETO DO CUPOM E À PRÓPRIA BASE)
+const calcularDesconto = (cupom, valorBase) => {
+  const bruto = cupom.tipoDesconto === 'percentual'
+    ? valorBase * cupom.valor / 100
+    : cupom.valor;
+  const teto = cupom.descontoMaximo ?? Infinity;
+
+  return arredondar(Math.max(0, Math.min(bruto, teto, valorBase)));
+};
+
+// Itens do pedido sobre os quais o desconto incide (categorias do cupom ou todos)
+const baseDoPedido = (cupom, itens) => {
+  const categorias = (cupom.categoriaIds || []).map(String);
+
+  return arredondar(itens
+    .filter(item => categorias.length === 0 || categorias.includes(String(item.categoria)))
+    .reduce((total, item) => total + item.totalPrice, 0));
+};
+
+const verificarLimiteCliente = async (cupom, customerId, session) => {
+  if (!cupom.limitePorCliente) return;
+
+  if (!customerId) {
+    throw criarErro(422, `Cupom ${cupom.codigo} tem limite por cliente: vincule um cliente cadastrado`);
+  }
+
+  const usados = await CouponRedemption.countDocuments({
+    couponId: cupom._id,
+    customerId,
+    status: 'aplicado'
+  }).session(session);
+
+  if (usados >= cupom.limitePorCliente) {
+    throw criarErro(422, `Cliente já usou o cupom ${cupom.codigo} ${usados} vez(es) (limite ${cupom.limitePorCliente})`);
+  }
+};
+
+// Incremento condicional: resgates simultâneos não passam do limite de usos
+const registrarResgate = async (cupom, dados, usuario, session) => {
+  const reservado = await Coupon.findOneAndUpdate(
+    {
+      _id: cupom._id,
+      $or: [{ limiteUsos: null }, { $expr: { $lt: ['$usos', '$limiteUsos'] } }]
+    },
+    { $inc: { usos: 1 } },
+    { new: true, session }
+  );
+
+  if (!reservado) {
+    throw criarErro(422, `Cupom ${cupom.codigo} esgotado`);
+  }
+
+  const [resgate] = await CouponRedemption.create([{
+    ...dados,
+    couponId: cupom._id,
+    codigo: cupom.codigo,
+    usadoPor: usuario?._id
+  }], { session });
+
+  return resgate;
+};
+
+// ✅ CUPOM DE HOSPEDAGEM: DESCONTO SOBRE O PREÇO DO PERÍODO (O CHAMADOR FAZ O SAVE NA MESMA SESSÃO)
+const aplicarCupomReserva = async (reservation, codigo, { room = null, usuario = null, session = null } = {}) => {
+  const cupom = await Coupon.findPorCodigo(codigo, { session });
+
+  validarCupom(cupom, {
+    aplicaEm: 'reserva',
+    periodoId: reservation.periodType,
+    roomTypeId: room?.type || null,
+    data: reservation.checkIn
+  });
+
+  const jaTemCupom = await CouponRedemption.exists({
+    tipo: 'reserva',
+    reservationId: reservation._id,
+    status: 'aplicado'
+  }).session(session);
+
+  if (jaTemCupom) {
+    throw criarErro(409, 'A reserva já possui um cupom aplicado');
+  }
+
+  await verificarLimiteCliente(cupom, reservation.customerId, session);
+
+  const valorBase = reservation.basePrice;
+  const valorDesconto = calcularDesconto(cupom, valorBase);
+
+  if (valorDesconto <= 0) {
+    throw criarErro(422, `Cupom ${cupom.codigo} não gera desconto para esta reserva`);
+  }
+
+  const resgate = await registrarResgate(cupom, {
+    tipo: 'reserva',
+    reservationId: reservation._id,
+    customerId: reservation.customerId || null,
+    valorBase,
+    valorDesconto
+  }, usuario, session);
+
+  aplicarDesconto(reservation, { amount: valorDesconto, description: `Cupom ${cupom.codigo}` }, usuario);
+
+  return { cupom, resgate, valorDesconto };
+};
+
+// ✅ CUPOM DE PEDIDO: PREENCHE pricing.discountAmount / discountPercentage (O CHAMADOR FAZ O SAVE)
+// itens: [{ totalPrice, categoria }] - a categoria do produto decide se o item entra na base
+const aplicarCupomPedido = async (order, codigo, { reservation, room = null, itens, usuario = null, session = null }) => {
+  const cupom = await Coupon.findPorCodigo(codigo, { session });
+
+  validarCupom(cupom, {
+    aplicaEm: 'pedido',
+    periodoId: reservation.periodType,
+    roomTypeId: room?.type || null,
+    data: new Date()
+  });
+
+  await verificarLimiteCliente(cupom, order.customerId, session);
+
+  const valorBase = baseDoPedido(cupom, itens);
+  const valorDesconto = calcularDesconto(cupom, valorBase);
+
+  if (valorDesconto <= 0) {
+    throw criarErro(422, `Nenhum item do pedido recebe desconto do cupom ${cupom.codigo}`);
+  }
+
+  const resgate = await registrarResgate(cupom, {
+    tipo: 'pedido',
+    reservationId: reservation._id,
+    orderId: order._id,
+    customerId: order.customerId || null,
+    valorBase,
+    valorDesconto
+  }, usuario, session);
+
+  const subtotal = itens.reduce((total, item) => total + item.totalPrice, 0);
+
+  order.pricing.discountAmount = valorDesconto;
+  order.pricing.discountPercentage = cupom.tipoDesconto === 'percentual' && valorBase === subtotal
+    ? cupom.valor
+    : arredondar(valorDesconto / subtotal * 100);
+  order.pricing.couponCode = cupom.codigo;
+
+  return { cupom, resgate, valorDesconto };
+};
+
+// ✅ APLICA CUPOM NUMA RESERVA JÁ CRIADA (ANTES DO CHECK-OUT)
+const resgatarCupomNaReserva = async (reservationId, codigo, usuario) => {
+  if (!codigo || !String(codigo).trim()) {
+    throw criarErro(400, 'Código do cupom é obrigatório');
+  }
+
+  return comTransacao(async (session) => {
+    const reservation = await Reservation.findById(reservationId).session(session);
+
+    if (!reservation) {
+      throw criarErro(404, 'Reserva não encontrada');
+    }
+
+    if (STATUS_RESERVA_SEM_CUPOM.includes(reservation.status)) {
+      throw criarErro(400, `Não é possível aplicar cupom em reservas com status "${reservation.status}"`);
+    }
+
+    const room = await Room.findById(reservation.roomId).session(session);
+    const resultado = await aplicarCupomReserva(reservation, codigo, { room, usuario, session });
+
+    reservation.auditar({ usuario, motivo: `Cupom ${resultado.cupom.codigo}`, acao: 'coupon' });
+
+    const folio = await montarFolio(reservation, { session });
+    sincronizarStatusPagamento(reservation, folio);
+    reservation.updatedBy = usuario._id;
+    await reservation.save({ session });
+
+    return { reservation, folio, ...resultado };
+  });
+};
+
+// ✅ ESTORNA O RESGATE (RESERVA OU PEDIDO CANCELADO): O USO VOLTA PARA O CUPOM
+const estornarCupom = async ({ reservationId = null, orderId = null }, usuario = null, session = null) => {
+  const filtro = orderId
+    ? { orderId, status: 'aplicado' }
+    : { reservationId, orderId: null, status: 'aplicado' };
+
+  const resgates = await CouponRedemption.find(filtro).session(session);
+
+  for (const resgate of resgates) {
+    resgate.status = 'estornado';
+    resgate.estornadoEm = new Date();
+    resgate.estornadoPor = usuario?._id || null;
+    await resgate.save({ session });
+
+    await Coupon.updateOne(
+      { _id: resgate.couponId, usos: { $gt: 0 } },
+      { $inc: { usos: -1 } },
+      { session }
+    );
+  }
+
+  return resgates.length;
+};
+
+module.exports = {
+  validarCupom,
+  calcularDesconto,
+  baseDoPedido,
+  aplicarCupomReserva,
+  aplicarCupomPedido,
+  resgatarCupomNaReserva,
+  estornarCupom
+};
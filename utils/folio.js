@@ -0,0 +1,301 @@
+// utils/folio.js - CONTA DO HÓSPEDE (ESTADIA + CONSUMO + DESCONTOS + PAGAMENTOS)
+const Order = require('../models/Order');
+const { criarErro } = require('./apiError');
+
+const TOLERANCIA_CENTAVOS = 0.009;
+
+const DESCRICAO_COBRANCA = {
+  overstay: 'Horas extras',
+  extension: 'Extensão de permanência',
+  period_change: 'Troca de período',
+  room_transfer: 'Diferença de transferência de quarto',
+  extra_guest: 'Hóspede extra',
+  early_arrival: 'Chegada antecipada'
+};
+
+const arredondar = (valor) => Math.round(valor * 100) / 100;
+
+const somar = (lista) => arredondar(lista.reduce((total, item) => total + item.amount, 0));
+
+// Troco e estorno saem do caixa: abatem do valor pago
+const SINAL_LANCAMENTO = { payment: 1, change: -1, refund: -1 };
+
+const DESCRICAO_LANCAMENTO = {
+  payment: 'Pagamento',
+  change: 'Troco',
+  refund: 'Estorno'
+};
+
+const valorLiquido = (lancamento) => SINAL_LANCAMENTO[lancamento.type || 'payment'] * lancamento.amount;
+
+const somarPagamentos = (lista) => arredondar(lista.reduce((total, item) => total + valorLiquido(item), 0));
+
+// totalPrice = estadia + cobranças - descontos
+const valorDaEstadia = (reservation) => {
+  return arredondar(reservation.totalPrice - somar(reservation.charges) + somar(reservation.discounts));
+};
+
+// Pedidos lançados na conta do quarto (room_charge) e não cancelados
+const buscarPedidosDaConta = (reservationId, session = null) => {
+  return Order.find({
+    reservationId,
+    'paymentInfo.method': 'room_charge',
+    status: { $ne: 'cancelled' }
+  })
+    .sort({ 'timeline.orderedAt': 1 })
+    .session(session);
+};
+
+// Reservas antigas marcadas como pagas sem pagamentos lançados: o valor
+// da estadia é considerado quitado na criação
+const pagamentoImplicito = (reservation) => {
+  if (reservation.payments.length > 0 || reservation.paymentStatus !== 'paid') return null;
+
+  return {
+    type: 'payment',
+    method: reservation.paymentMethod || 'cash',
+    amount: valorDaEstadia(reservation),
+    notes: 'Pagamento registrado na reserva',
+    paidAt: reservation.createdAt,
+    turnoInfo: {
+      turnoId: reservation.turnoInfo?.turnoId || null,
+      turnoNome: reservation.turnoInfo?.turnoNome || null
+    }
+  };
+};
+
+// ✅ MONTA O FOLIO COM LINHAS DETALHADAS E TOTAIS
+const montarFolio = async (reservation, { session = null } = {}) => {
+  const pedidos = await buscarPedidosDaConta(reservation._id, session);
+
+  const cobrancas = somar(reservation.charges);
+  const descontos = somar(reservation.discounts);
+  const estadia = valorDaEstadia(reservation);
+
+  const lines = [{
+    type: 'room',
+    description: `Quarto ${reservation.roomNumber} - ${reservation.periodName || reservation.periodType}`,
+    amount: estadia,
+    date: reservation.checkIn
+  }];
+
+  reservation.charges.forEach(charge => {
+    lines.push({
+      type: 'charge',
+      description: charge.description || DESCRICAO_COBRANCA[charge.type],
+      amount: arredondar(charge.amount),
+      date: charge.createdAt,
+      reference: charge.type
+    });
+  });
+
+  pedidos.forEach(pedido => {
+    lines.push({
+      type: 'order',
+      description: `Pedido ${pedido.orderNumber} (${pedido.items.length} itens)`,
+      amount: arredondar(pedido.pricing.total),
+      date: pedido.timeline?.orderedAt || pedido.createdAt,
+      reference: pedido._id
+    });
+  });
+
+  reservation.discounts.forEach(desconto => {
+    lines.push({
+      type: 'discount',
+      description: desconto.description || 'Desconto',
+      amount: -arredondar(desconto.amount),
+      date: desconto.createdAt
+    });
+  });
+
+  const implicito = pagamentoImplicito(reservation);
+  const pagamentos = implicito ? [implicito] : reservation.payments;
+
+  pagamentos.forEach(pagamento => {
+    lines.push({
+      type: pagamento.type || 'payment',
+      description: pagamento.notes || `${DESCRICAO_LANCAMENTO[pagamento.type || 'payment']} (${pagamento.method})`,
+      amount: -arredondar(valorLiquido(pagamento)),
+      date: pagamento.paidAt,
+      reference: pagamento.method
+    });
+  });
+
+  const consumo = somar(pedidos.map(pedido => ({ amount: pedido.pricing.total })));
+  const pago = somarPagamentos(pagamentos);
+  const total = arredondar(estadia + cobrancas + consumo - descontos);
+
+  return {
+    reservationId: reservation._id,
+    reservationNumber: reservation.reservationNumber,
+    customerName: reservation.customerName,
+    roomNumber: reservation.roomNumber,
+    lines,
+    totals: {
+      room: estadia,
+      charges: cobrancas,
+      consumption: consumo,
+      discounts: descontos,
+      total,
+      paid: pago,
+      balance: arredondar(total - pago)
+    },
+    orderIds: pedidos.map(pedido => pedido._id),
+    hasRefunds: pagamentos.some(pagamento => pagamento.type === 'refund')
+  };
+};
+
+const temSaldoAberto = (folio) => folio.totals.balance > TOLERANCIA_CENTAVOS;
+
+// Lançamentos herdam o turno informado ou o turno da própria reserva
+const turnoDoLancamento = (reservation, turnoInfo) => ({
+  turnoId: turnoInfo?.turnoId || reservation.turnoInfo?.turnoId || null,
+  turnoNome: turnoInfo?.turnoNome || reservation.turnoInfo?.turnoNome || null
+});
+
+// Materializa o pagamento implícito antes do primeiro lançamento
+const materializarPagamentoImplicito = (reservation) => {
+  const implicito = pagamentoImplicito(reservation);
+  if (implicito && implicito.amount > 0) {
+    reservation.payments.push(implicito);
+  }
+};
+
+// ✅ REGISTRA UM PAGAMENTO (O CHAMADOR FAZ O SAVE)
+// Em dinheiro, valorRecebido acima do valor gera um lançamento de troco
+const registrarPagamento = (reservation, { method, amount, valorRecebido, notes = '', turnoInfo }, usuario) => {
+  materializarPagamentoImplicito(reservation);
+
+  const valor = arredondar(amount);
+  const recebido = method === 'cash' && valorRecebido ? arredondar(valorRecebido) : valor;
+
+  if (recebido < valor) {
+    throw criarErro(400, 'Valor recebido não pode ser menor que o valor do pagamento');
+  }
+
+  const lancamento = {
+    method,
+    receivedBy: usuario?._id,
+    turnoInfo: turnoDoLancamento(reservation, turnoInfo)
+  };
+
+  reservation.payments.push({ ...lancamento, type: 'payment', amount: recebido, notes });
+
+  const troco = arredondar(recebido - valor);
+  if (troco > 0) {
+    reservation.payments.push({ ...lancamento, type: 'change', amount: troco });
+  }
+
+  reservation.paymentMethod = method;
+
+  return { valor, troco };
+};
+
+// ✅ PAGAMENTOS NA ENTRADA (O CHAMADOR FAZ O SAVE)
+// Lista de pagamentos (divididos) ou, com paymentStatus 'paid', o total na forma da reserva.
+// Sem nenhum dos dois nada é lançado: reserva futura não gera pagamento no turno atual
+const lancarPagamentosIniciais = async (reservation, { pagamentos, paymentStatus }, usuario, session = null) => {
+  const lancamentos = pagamentos || (paymentStatus === 'paid' && reservation.totalPrice > 0
+    ? [{ method: reservation.paymentMethod, amount: reservation.totalPrice }]
+    : []);
+
+  lancamentos.forEach(pagamento => {
+    registrarPagamento(reservation, {
+      method: pagamento.method,
+      amount: parseFloat(pagamento.amount),
+      valorRecebido: parseFloat(pagamento.valorRecebido) || undefined,
+      notes: pagamento.notes
+    }, usuario);
+  });
+
+  sincronizarStatusPagamento(reservation, await montarFolio(reservation, { session }));
+};
+
+// ✅ REGISTRA UM ESTORNO (O CHAMADOR FAZ O SAVE)
+const registrarEstorno = (reservation, { method, amount, notes = '', turnoInfo }, usuario) => {
+  materializarPagamentoImplicito(reservation);
+
+  const valor = arredondar(amount);
+  const pago = somarPagamentos(reservation.payments);
+
+  if (valor > pago + TOLERANCIA_CENTAVOS) {
+    throw criarErro(400, `Estorno de R$ ${valor.toFixed(2)} maior que o valor pago (R$ ${pago.toFixed(2)})`);
+  }
+
+  reservation.payments.push({
+    type: 'refund',
+    method,
+    amount: valor,
+    notes,
+    receivedBy: usuario?._id,
+    turnoInfo: turnoDoLancamento(reservation, turnoInfo)
+  });
+
+  return { valor };
+};
+
+// ✅ CONCEDE UM DESCONTO (O CHAMADOR FAZ O SAVE)
+const aplicarDesconto = (reservation, { amount, description = '' }, usuario) => {
+  const valor = arredondar(Math.min(amount, reservation.totalPrice));
+
+  reservation.discounts.push({
+    description,
+    amount: valor,
+    createdBy: usuario?._id
+  });
+
+  reservation.totalPrice = arredondar(reservation.totalPrice - valor);
+};
+
+// ✅ DERIVA O paymentStatus DO SALDO DO FOLIO
+const sincronizarStatusPagamento = (reservation, folio) => {
+  const { paid } = folio.totals;
+
+  if (folio.hasRefunds && paid <= TOLERANCIA_CENTAVOS) {
+    reservation.paymentStatus = 'refunded';
+  } else if (!temSaldoAberto(folio)) {
+    reservation.paymentStatus = 'paid';
+  } else if (paid > TOLERANCIA_CENTAVOS) {
+    reservation.paymentStatus = 'partial';
+  } else {
+    reservation.paymentStatus = 'pending';
+  }
+};
+
+// ✅ EXTRATO EM TEXTO PARA IMPRESSÃO NA RECEPÇÃO
+const formatarExtrato = (folio) => {
+  const moeda = (valor) => `R$ ${valor.toFixed(2)}`.padStart(12);
+  const linha = '-'.repeat(52);
+
+  const corpo = folio.lines.map(item => {
+    const data = item.date ? new Date(item.date).toLocaleString('pt-BR') : '';
+    return `${data.padEnd(20)} ${item.description.slice(0, 19).padEnd(19)} ${moeda(item.amount)}`;
+  });
+
+  return [
+    `EXTRATO DA RESERVA ${folio.reservationNumber}`,
+    `Hóspede: ${folio.customerName}  Quarto: ${folio.roomNumber}`,
+    linha,
+    ...corpo,
+    linha,
+    `${'Estadia'.padEnd(40)}${moeda(folio.totals.room)}`,
+    `${'Cobranças adicionais'.padEnd(40)}${moeda(folio.totals.charges)}`,
+    `${'Consumo'.padEnd(40)}${moeda(folio.totals.consumption)}`,
+    `${'Descontos'.padEnd(40)}${moeda(-folio.totals.discounts)}`,
+    `${'TOTAL'.padEnd(40)}${moeda(folio.totals.total)}`,
+    `${'Pago'.padEnd(40)}${moeda(folio.totals.paid)}`,
+    `${'SALDO'.padEnd(40)}${moeda(folio.totals.balance)}`
+  ].join('\n');
+};
+
+module.exports = {
+  montarFolio,
+  temSaldoAberto,
+  valorLiquido,
+  registrarPagamento,
+  lancarPagamentosIniciais,
+  registrarEstorno,
+  aplicarDesconto,
+  sincronizarStatusPagamento,
+  formatarExtrato
+};
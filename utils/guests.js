@@ -0,0 +1,157 @@
+// utils/guests.js - HÓSPEDES DA RESERVA (QUANTIDADE, ACOMPANHANTES, CAPACIDADE E HÓSPEDE EXTRA)
+const Reservation = require('../models/Reservation');
+const RoomType = require('../models/RoomType');
+const { criarErro } = require('./apiError');
+
+// Padrões do RoomType quando o tipo não está cadastrado
+const CAPACIDADE_PADRAO = 2;
+const HOSPEDES_INCLUIDOS_PADRAO = 2;
+
+const arredondar = (valor) => Math.round(valor * 100) / 100;
+
+// ✅ CAPACIDADE EFETIVA: O MENOR ENTRE O QUARTO E O TIPO DE QUARTO
+const capacidadeDoQuarto = (room, roomType) => {
+  const limites = [room?.capacity, roomType?.configuracao?.capacidadeMaxima].filter(limite => limite > 0);
+  return limites.length > 0 ? Math.min(...limites) : CAPACIDADE_PADRAO;
+};
+
+// Acima de hospedesIncluidos, cada hóspede paga precoHospedeExtra
+const calcularHospedeExtra = (guestCount, roomType) => {
+  const incluidos = roomType?.configuracao?.hospedesIncluidos || HOSPEDES_INCLUIDOS_PADRAO;
+  const precoUnitario = roomType?.configuracao?.precoHospedeExtra || 0;
+  const extras = Math.max(0, guestCount - incluidos);
+
+  return { incluidos, extras, precoUnitario, valor: arredondar(extras * precoUnitario) };
+};
+
+const normalizarAcompanhantes = (companions) => {
+  if (!Array.isArray(companions)) {
+    throw criarErro(400, 'Acompanhantes devem ser uma lista');
+  }
+
+  return companions.map((acompanhante, indice) => {
+    const name = (acompanhante?.name || '').trim();
+
+    if (!name) {
+      throw criarErro(400, `Nome do acompanhante ${indice + 1} é obrigatório`);
+    }
+
+    return {
+      name,
+      document: (acompanhante.document || '').trim(),
+      birthDate: acompanhante.birthDate || null
+    };
+  });
+};
+
+// ✅ ATUALIZA HÓSPEDES, VALIDA A CAPACIDADE E REPRECIFICA O HÓSPEDE EXTRA (O CHAMADOR FAZ O SAVE)
+const aplicarHospedes = async (reservation, { guestCount, companions }, { room, roomType, usuario, session = null }) => {
+  if (guestCount !== undefined && guestCount !== null) {
+    const quantidade = Number(guestCount);
+
+    if (!Number.isInteger(quantidade) || quantidade < 1) {
+      throw criarErro(400, 'Quantidade de hóspedes deve ser um número inteiro maior que zero');
+    }
+
+    reservation.guestCount = quantidade;
+  }
+
+  if (companions !== undefined) {
+    reservation.companions = normalizarAcompanhantes(companions);
+  }
+
+  const tipo = roomType !== undefined
+    ? roomType
+    : await RoomType.findOne({ id: room.type }).session(session);
+
+  const capacidade = capacidadeDoQuarto(room, tipo);
+
+  if (reservation.guestCount > capacidade) {
+    throw criarErro(
+      400,
+      `Quarto ${room.number} comporta no máximo ${capacidade} hóspede(s)`,
+      { capacidade, guestCount: reservation.guestCount }
+    );
+  }
+
+  const extra = calcularHospedeExtra(reservation.guestCount, tipo);
+
+  reservation.aplicarCobranca({
+    type: 'extra_guest',
+    amount: extra.valor,
+    description: `${extra.extras} hóspede(s) extra(s) x R$ ${extra.precoUnitario.toFixed(2)}`,
+    userId: usuario?._id,
+    substituir: true
+  });
+
+  return { capacidade, ...extra };
+};
+
+// ✅ REGISTRO DE HÓSPEDES: UMA LINHA POR PESSOA (TITULAR + ACOMPANHANTES) NO INTERVALO
+const montarRegistroHospedes = async ({ inicio, fim }) => {
+  const reservas = await Reservation.find({
+    actualCheckIn: { $gte: inicio, $lt: fim },
+    status: { $in: ['checked-in', 'checked-out'] }
+  })
+    .select('reservationNumber roomNumber customerName customerDocument customerPhone guestCount companions actualCheckIn actualCheckOut checkOut status')
+    .sort({ actualCheckIn: 1 })
+    .lean();
+
+  return reservas.flatMap(reserva => {
+    const comum = {
+      reservationNumber: reserva.reservationNumber,
+      roomNumber: reserva.roomNumber,
+      checkIn: reserva.actualCheckIn,
+      checkOut: reserva.actualCheckOut || reserva.checkOut,
+      guestCount: reserva.guestCount || 1,
+      status: reserva.status
+    };
+
+    return [
+      { ...comum, tipo: 'titular', name: reserva.customerName, document: reserva.customerDocument || '', phone: reserva.customerPhone || '' },
+      ...(reserva.companions || []).map(acompanhante => ({
+        ...comum,
+        tipo: 'acompanhante',
+        name: acompanhante.name,
+        document: acompanhante.document || '',
+        phone: ''
+      }))
+    ];
+  });
+};
+
+const COLUNAS_REGISTRO = [
+  ['reservationNumber', 'Reserva'],
+  ['roomNumber', 'Quarto'],
+  ['tipo', 'Tipo'],
+  ['name', 'Nome'],
+  ['document', 'Documento'],
+  ['phone', 'Telefone'],
+  ['guestCount', 'Hóspedes'],
+  ['checkIn', 'Entrada'],
+  ['checkOut', 'Saída'],
+  ['status', 'Status']
+];
+
+// Texto iniciado por = + - @ (ou tab / CR) vira fórmula no Excel: prefixa com ' (injeção de fórmula)
+const celulaCsv = (valor) => {
+  let texto = valor instanceof Date ? valor.toISOString() : String(valor ?? '');
+  if (typeof valor === 'string' && /^[=+\-@\t\r]/.test(texto)) {
+    texto = `'${texto}`;
+  }
+  return /[;"\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+};
+
+// CSV com ";" (padrão do Excel em português)
+const formatarRegistroCsv = (linhas) => [
+  COLUNAS_REGISTRO.map(([, titulo]) => titulo).join(';'),
+  ...linhas.map(linha => COLUNAS_REGISTRO.map(([campo]) => celulaCsv(linha[campo])).join(';'))
+].join('\n');
+
+module.exports = {
+  capacidadeDoQuarto,
+  calcularHospedeExtra,
+  aplicarHospedes,
+  montarRegistroHospedes,
+  formatarRegistroCsv
+};
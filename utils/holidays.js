@@ -0,0 +1,289 @@
+// utils/holidays.js - CONSULTA E IMPORTAÇÃO DO CALENDÁRIO DE FERIADOS
+const Holiday = require('../models/Holiday');
+
+// ✅ LOCALIDADE DO MOTEL (FERIADOS ESTADUAIS E MUNICIPAIS)
+const localidade = {
+  uf: process.env.MOTEL_UF || null,
+  municipio: process.env.MOTEL_MUNICIPIO || null
+};
+
+const DIAS_FIM_DE_SEMANA = [0, 6];
+
+// ✅ FERIADOS NACIONAIS DE DATA FIXA (CARGA INICIAL DO CALENDÁRIO)
+const FERIADOS_NACIONAIS = {
+  '01-01': 'Confraternização Universal',
+  '04-21': 'Tiradentes',
+  '05-01': 'Dia do Trabalho',
+  '09-07': 'Independência do Brasil',
+  '10-12': 'Nossa Senhora Aparecida',
+  '11-02': 'Finados',
+  '11-15': 'Proclamação da República',
+  '11-20': 'Dia Nacional de Zumbi e da Consciência Negra',
+  '12-25': 'Natal'
+};
+
+// ✅ FERIADOS DA DATA (HORÁRIO LOCAL)
+const buscarFeriados = (data, { session = null } = {}) => {
+  return Holiday.buscarNaData(data, { ...localidade, session });
+};
+
+const ehFeriado = async (data, { session = null } = {}) => {
+  return (await buscarFeriados(data, { session })).length > 0;
+};
+
+// ✅ O PERÍODO PODE SER VENDIDO NESTA DATA? (Period.disponibilidade.fimDeSemana / feriado)
+const verificarDisponibilidadeNaData = async (periodo, data, { session = null } = {}) => {
+  const momento = new Date(data);
+  const disponibilidade = periodo.disponibilidade || {};
+
+  if (disponibilidade.fimDeSemana === false && DIAS_FIM_DE_SEMANA.includes(momento.getDay())) {
+    return { disponivel: false, motivo: `Período ${periodo.nome} não é oferecido em fins de semana` };
+  }
+
+  if (disponibilidade.feriado === false) {
+    const [feriado] = await buscarFeriados(momento, { session });
+
+    if (feriado) {
+      return { disponivel: false, motivo: `Período ${periodo.nome} não é oferecido em feriados (${feriado.nome})` };
+    }
+  }
+
+  return { disponivel: true };
+};
+
+// "25/12" (todo ano), "20/11/2026" ou "2026-11-20" (data única)
+const lerData = (texto) => {
+  const valor = (texto || '').trim();
+  let partes = valor.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{4}))?$/);
+
+  if (partes) {
+    const [, dia, mes, ano] = partes;
+    return { dia: Number(dia), mes: Number(mes), ano: ano ? Number(ano) : null, recorrente: !ano };
+  }
+
+  partes = valor.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+
+  if (partes) {
+    const [, ano, mes, dia] = partes;
+    return { dia: Number(dia), mes: Number(mes), ano: Number(ano), recorrente: false };
+  }
+
+  return null;
+};
+
+// ✅ CSV: data;nome[;abrangencia;uf;municipio] (vírgula também aceita, cabeçalho opcional)
+const lerCsv = (conteudo) => {
+  const linhas = conteudo.split(/\r?\n/);
+  const separador = (linhas.find(linha => linha.trim()) || '').includes(';') ? ';' : ',';
+
+  return linhas.map((linha, indice) => {
+    if (!linha.trim()) return null;
+
+    const [data, nome, abrangencia, uf, municipio] = linha.split(separador).map(celula => celula.trim());
+    const lida = lerData(data);
+
+    // Cabeçalho
+    if (!lida && indice === 0) return null;
+
+    return {
+      linha: indice + 1,
+      erro: lida ? null : `Data inválida: "${data}"`,
+      dados: lida && { ...lida, nome, abrangencia: abrangencia || undefined, uf: uf || undefined, municipio: municipio || undefined }
+    };
+  }).filter(Boolean);
+};
+
+// Linhas longas do iCalendar continuam na linha seguinte iniciada por espaço
+const desdobrarIcal = (conteudo) => conteudo.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+const desescaparIcal = (texto) => texto
+  .replace(/\\n/gi, ' ')
+  .replace(/\\([,;\\])/g, '$1');
+
+// DTSTART: "20261225" / "20261225T000000" (horário local) ou "20261225T030000Z" (UTC,
+// convertido para o horário local antes de tirar o dia - 03:00Z é 00:00 em Brasília)
+const lerDataIcal = (valor) => {
+  const partes = (valor || '').match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!partes) return null;
+
+  const [, ano, mes, dia, hora = 0, minuto = 0, segundo = 0, utc] = partes;
+  const campos = [Number(ano), Number(mes) - 1, Number(dia), Number(hora), Number(minuto), Number(segundo)];
+
+  return utc ? new Date(Date.UTC(...campos)) : new Date(...campos);
+};
+
+// ✅ iCALENDAR: UM FERIADO POR VEVENT (RRULE FREQ=YEARLY = RECORRENTE)
+const lerIcal = (conteudo) => {
+  const itens = [];
+  let evento = null;
+
+  desdobrarIcal(conteudo).forEach((linha, indice) => {
+    if (linha === 'BEGIN:VEVENT') {
+      evento = { linha: indice + 1 };
+      return;
+    }
+
+    if (!evento) return;
+
+    if (linha === 'END:VEVENT') {
+      const data = lerDataIcal(evento.dtstart);
+      const recorrente = /FREQ=YEARLY/i.test(evento.rrule || '');
+
+      itens.push({
+        linha: evento.linha,
+        erro: data ? null : 'Evento sem DTSTART válido',
+        dados: data && {
+          dia: data.getDate(),
+          mes: data.getMonth() + 1,
+          ano: recorrente ? null : data.getFullYear(),
+          recorrente,
+          nome: evento.summary
+        }
+      });
+      evento = null;
+      return;
+    }
+
+    const separador = linha.indexOf(':');
+    if (separador === -1) return;
+
+    const chave = linha.slice(0, separador).split(';')[0].toUpperCase();
+    const valor = linha.slice(separador + 1);
+
+    if (chave === 'DTSTART') evento.dtstart = valor;
+    if (chave === 'SUMMARY') evento.summary = desescaparIcal(valor);
+    if (chave === 'RRULE') evento.rrule = valor;
+  });
+
+  return itens;
+};
+
+// ✅ IMPORTA FERIADOS (ATUALIZA O NOME SE A MESMA DATA/ABRANGÊNCIA JÁ EXISTIR)
+// abrangencia / uf / municipio informados valem para as linhas que não trazem esses campos
+const importarFeriados = async ({ formato, conteudo, abrangencia = 'nacional', uf = null, municipio = null }, usuario) => {
+  const itens = formato === 'ical' ? lerIcal(conteudo) : lerCsv(conteudo);
+  const resultado = { importados: 0, atualizados: 0, erros: [] };
+
+  for (const { linha, erro, dados } of itens) {
+    if (erro) {
+      resultado.erros.push({ linha, message: erro });
+      continue;
+    }
+
+    const feriado = new Holiday({
+      abrangencia,
+      uf,
+      municipio,
+      ...Object.fromEntries(Object.entries(dados).filter(([, valor]) => valor !== undefined)),
+      origem: formato,
+      criadoPor: usuario._id,
+      atualizadoPor: usuario._id
+    });
+
+    const invalido = feriado.validateSync();
+
+    if (invalido) {
+      resultado.erros.push({
+        linha,
+        message: Object.values(invalido.errors).map(err => err.message).join('; ')
+      });
+      continue;
+    }
+
+    const chave = {
+      dia: feriado.dia,
+      mes: feriado.mes,
+      ano: feriado.ano,
+      abrangencia: feriado.abrangencia,
+      uf: feriado.uf,
+      municipio: feriado.municipio
+    };
+
+    const { upsertedCount } = await Holiday.updateOne(chave, {
+      $set: {
+        nome: feriado.nome,
+        recorrente: feriado.recorrente,
+        origem: feriado.origem,
+        ativo: true,
+        atualizadoPor: usuario._id
+      },
+      $setOnInsert: { criadoPor: usuario._id }
+    }, { upsert: true });
+
+    if (upsertedCount > 0) {
+      resultado.importados++;
+    } else {
+      resultado.atualizados++;
+    }
+  }
+
+  return resultado;
+};
+
+// ✅ CARGA INICIAL: CALENDÁRIO VAZIO RECEBE OS FERIADOS NACIONAIS
+// Instalações antigas configuravam FERIADOS no .env ("MM-DD" todo ano ou "AAAA-MM-DD"
+// data única, separados por vírgula): se a variável existir, ela é importada no lugar
+const semearFeriados = async () => {
+  if (await Holiday.estimatedDocumentCount() > 0) return 0;
+
+  const legado = process.env.FERIADOS;
+  const datas = legado
+    ? legado.split(',').map(data => data.trim()).filter(Boolean)
+    : Object.keys(FERIADOS_NACIONAIS);
+
+  const operacoes = [];
+
+  datas.forEach(data => {
+    const partes = data.match(/^(?:(\d{4})-)?(\d{2})-(\d{2})$/);
+
+    if (!partes) {
+      console.warn(`⚠️ FERIADOS: data ignorada "${data}" (use MM-DD ou AAAA-MM-DD)`);
+      return;
+    }
+
+    const [, ano, mes, dia] = partes;
+    const chave = {
+      dia: Number(dia),
+      mes: Number(mes),
+      ano: ano ? Number(ano) : null,
+      abrangencia: 'nacional',
+      uf: null,
+      municipio: null
+    };
+
+    // Upsert pela chave única do modelo (os campos do filtro entram no documento criado):
+    // duas instâncias subindo juntas não duplicam
+    operacoes.push({
+      updateOne: {
+        filter: chave,
+        update: {
+          $setOnInsert: {
+            nome: FERIADOS_NACIONAIS[`${mes}-${dia}`] || 'Feriado',
+            recorrente: !ano,
+            origem: legado ? 'legado' : 'padrao',
+            ativo: true
+          }
+        },
+        upsert: true
+      }
+    });
+  });
+
+  if (operacoes.length === 0) return 0;
+
+  const { upsertedCount } = await Holiday.bulkWrite(operacoes, { ordered: false });
+  console.log(`✅ Calendário de feriados iniciado com ${upsertedCount} datas (${legado ? 'FERIADOS do .env' : 'feriados nacionais'})`);
+
+  return upsertedCount;
+};
+
+module.exports = {
+  localidade,
+  buscarFeriados,
+  ehFeriado,
+  verificarDisponibilidadeNaData,
+  lerCsv,
+  lerIcal,
+  importarFeriados,
+  semearFeriados
+};
@@ -0,0 +1,133 @@
+// utils/icalendar.js - GERAÇÃO DE CALENDÁRIOS iCALENDAR (RFC 5545) A PARTIR DAS RESERVAS
+const Reservation = require('../models/Reservation');
+const Room = require('../models/Room');
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+const PRODID = '-//Motel PMS//Reservas//PT-BR';
+const DOMINIO_UID = process.env.ICAL_DOMINIO_UID || 'motel-pms';
+
+// Reservas já encerradas há mais que isso saem do feed
+const DIAS_HISTORICO = parseInt(process.env.ICAL_DIAS_HISTORICO) || 30;
+
+// ✅ STATUS DA RESERVA -> STATUS DO EVENTO
+const STATUS_EVENTO = {
+  pending: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  'checked-in': 'CONFIRMED',
+  'checked-out': 'CONFIRMED',
+  cancelled: 'CANCELLED',
+  'no-show': 'CANCELLED'
+};
+
+const ROTULO_STATUS = {
+  pending: 'Pendente',
+  confirmed: 'Confirmada',
+  'checked-in': 'Hospedado',
+  'checked-out': 'Finalizada',
+  cancelled: 'Cancelada',
+  'no-show': 'No-show'
+};
+
+// 20261018T153000Z
+const formatarData = (data) => new Date(data).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapar = (texto = '') => String(texto)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Linhas com mais de 75 octetos continuam na linha seguinte iniciada por espaço
+const dobrarLinha = (linha) => {
+  const partes = [];
+  let atual = '';
+  let limite = 75;
+
+  for (const caractere of linha) {
+    if (Buffer.byteLength(atual + caractere) > limite) {
+      partes.push(atual);
+      atual = '';
+      limite = 74;
+    }
+    atual += caractere;
+  }
+
+  partes.push(atual);
+  return partes.join('\r\n ');
+};
+
+// ✅ UM VEVENT POR RESERVA (UID ESTÁVEL PARA O CALENDÁRIO ATUALIZAR O MESMO EVENTO)
+const gerarEvento = (reservation) => {
+  const atualizadoEm = reservation.updatedAt || reservation.createdAt || new Date();
+  const status = ROTULO_STATUS[reservation.status] || reservation.status;
+
+  const linhas = [
+    'BEGIN:VEVENT',
+    `UID:${reservation._id}@${DOMINIO_UID}`,
+    `DTSTAMP:${formatarData(atualizadoEm)}`,
+    `LAST-MODIFIED:${formatarData(atualizadoEm)}`,
+    // Cresce a cada alteração para os assinantes substituírem a versão anterior
+    `SEQUENCE:${Math.floor(new Date(atualizadoEm).getTime() / 1000)}`,
+    `DTSTART:${formatarData(reservation.checkIn)}`,
+    `DTEND:${formatarData(reservation.checkOut)}`,
+    `SUMMARY:${escapar(`Quarto ${reservation.roomNumber} - ${reservation.reservationNumber} (${reservation.periodName})`)}`,
+    `DESCRIPTION:${escapar([
+      `Reserva: ${reservation.reservationNumber}`,
+      `Quarto: ${reservation.roomNumber}`,
+      `Período: ${reservation.periodName}`,
+      `Status: ${status}`
+    ].join('\n'))}`,
+    `LOCATION:${escapar(`Quarto ${reservation.roomNumber}`)}`,
+    `STATUS:${STATUS_EVENTO[reservation.status] || 'CONFIRMED'}`,
+    `CATEGORIES:${escapar(status)}`,
+    'TRANSP:OPAQUE',
+    'END:VEVENT'
+  ];
+
+  return linhas;
+};
+
+// ✅ VCALENDAR COMPLETO
+const gerarCalendario = ({ nome, reservations }) => {
+  const linhas = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapar(nome)}`,
+    'X-WR-TIMEZONE:America/Sao_Paulo',
+    ...reservations.flatMap(gerarEvento),
+    'END:VCALENDAR'
+  ];
+
+  return linhas.map(dobrarLinha).join('\r\n') + '\r\n';
+};
+
+// ✅ RESERVAS DO ESCOPO DO FEED (CANCELADAS INCLUSAS PARA OS ASSINANTES ATUALIZAREM)
+const buscarReservasDoFeed = async (feed, { agora = new Date() } = {}) => {
+  const filtro = {
+    checkOut: { $gte: new Date(agora.getTime() - DIAS_HISTORICO * DIA_MS) }
+  };
+
+  if (feed.escopo === 'room') {
+    filtro.roomId = feed.roomId;
+  } else if (feed.escopo === 'roomType') {
+    const quartos = await Room.find({ type: feed.roomTypeId }).select('_id');
+    filtro.roomId = { $in: quartos.map(quarto => quarto._id) };
+  }
+
+  return Reservation.find(filtro)
+    .select('reservationNumber roomNumber periodName status checkIn checkOut createdAt updatedAt')
+    .sort({ checkIn: 1 });
+};
+
+module.exports = {
+  STATUS_EVENTO,
+  formatarData,
+  escapar,
+  dobrarLinha,
+  gerarEvento,
+  gerarCalendario,
+  buscarReservasDoFeed
+};
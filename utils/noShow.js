@@ -0,0 +1,154 @@
+// utils/noShow.js - RESERVAS AGENDADAS SEM COMPARECIMENTO (JOB PERIÓDICO)
+const Reservation = require('../models/Reservation');
+const UserLog = require('../models/UserLog');
+const { comTransacao } = require('./transaction');
+const { criarErro } = require('./apiError');
+const { montarFolio, sincronizarStatusPagamento } = require('./folio');
+const { estornarCupom } = require('./coupons');
+
+const MINUTO_MS = 60 * 1000;
+
+// ✅ CONFIGURAÇÃO (VARIÁVEIS DE AMBIENTE)
+const config = {
+  // Minutos após o check-in previsto para considerar no-show
+  toleranciaMinutos: parseInt(process.env.NO_SHOW_TOLERANCIA_MINUTOS) || 60,
+  // Intervalo de execução do job
+  intervaloMinutos: parseInt(process.env.NO_SHOW_INTERVALO_MINUTOS) || 5,
+  // Taxa cobrada pelo não comparecimento (0 = sem taxa)
+  taxa: parseFloat(process.env.NO_SHOW_TAXA) || 0,
+  // Retém o sinal já pago (senão o valor pago acima da taxa fica como crédito a estornar)
+  reterSinal: process.env.NO_SHOW_RETER_SINAL !== 'false',
+  ativo: process.env.NO_SHOW_JOB_ATIVO !== 'false'
+};
+
+const STATUS_AGUARDANDO_CHEGADA = ['pending', 'confirmed'];
+
+// ✅ MARCA UMA RESERVA COMO NO-SHOW
+// A estadia não utilizada sai da conta e fica a taxa (ou o sinal retido, se maior).
+// O quarto é liberado porque no-show não bloqueia a agenda (reservationConflicts.js).
+const marcarNoShow = async (reservationId, { usuario = null, agora = new Date() } = {}) => {
+  const reservation = await comTransacao(async (session) => {
+    const reserva = await Reservation.findById(reservationId).session(session);
+
+    if (!reserva) {
+      throw criarErro(404, 'Reserva não encontrada');
+    }
+
+    if (!STATUS_AGUARDANDO_CHEGADA.includes(reserva.status)) {
+      throw criarErro(400, `Reservas com status "${reserva.status}" não podem ser marcadas como no-show`);
+    }
+
+    const folio = await montarFolio(reserva, { session });
+    const sinalRetido = config.reterSinal ? Math.max(folio.totals.paid, 0) : 0;
+    const valorDevido = Math.max(config.taxa, sinalRetido);
+    const estadia = reserva.totalPrice;
+
+    reserva.auditar({ usuario, sistema: !usuario, acao: 'no_show' });
+    reserva.aplicarCobranca({
+      type: 'no_show',
+      amount: valorDevido - estadia,
+      description: valorDevido > 0
+        ? `No-show: estadia não utilizada, retido R$ ${valorDevido.toFixed(2)}`
+        : 'No-show: estadia não utilizada',
+      userId: usuario?._id
+    });
+
+    // Estadia não utilizada: o uso do cupom volta, como no cancelamento (utils/cancellation.js)
+    await estornarCupom({ reservationId: reserva._id }, usuario, session);
+
+    reserva.status = 'no-show';
+    reserva.noShowAt = agora;
+    reserva.updatedBy = usuario?._id || reserva.updatedBy;
+
+    sincronizarStatusPagamento(reserva, await montarFolio(reserva, { session }));
+
+    await reserva.save({ session });
+    return reserva;
+  });
+
+  await UserLog.criarLog({
+    userId: usuario?._id,
+    sistema: !usuario,
+    acao: 'no_show',
+    detalhes: `Reserva ${reservation.reservationNumber} (quarto ${reservation.roomNumber}) marcada como no-show`,
+    metadados: {
+      reservationId: reservation._id,
+      roomId: reservation.roomId,
+      checkIn: reservation.checkIn,
+      totalPrice: reservation.totalPrice
+    },
+    usuarioInfo: usuario
+      ? { nome: usuario.nomeCompleto, email: usuario.email, role: usuario.role }
+      : { nome: 'Sistema (job de no-show)' }
+  });
+
+  console.log(`🚫 No-show: reserva ${reservation.reservationNumber} - quarto ${reservation.roomNumber} liberado`);
+
+  return reservation;
+};
+
+// ✅ PROCURA RESERVAS AGENDADAS VENCIDAS E MARCA COMO NO-SHOW
+const processarNoShows = async (agora = new Date()) => {
+  const limite = new Date(agora.getTime() - config.toleranciaMinutos * MINUTO_MS);
+
+  const vencidas = await Reservation.find({
+    contexto: 'agendado',
+    status: { $in: STATUS_AGUARDANDO_CHEGADA },
+    checkIn: { $lt: limite }
+  }).select('_id');
+
+  const marcadas = [];
+
+  for (const { _id } of vencidas) {
+    try {
+      marcadas.push(await marcarNoShow(_id, { agora }));
+    } catch (error) {
+      // Check-in feito no meio do processamento: apenas ignora
+      console.error(`❌ Erro ao marcar no-show da reserva ${_id}:`, error.message);
+    }
+  }
+
+  return marcadas;
+};
+
+let timer = null;
+let emExecucao = false;
+
+// ✅ INICIA O JOB (CHAMADO PELO server.js APÓS CONECTAR NO MONGODB)
+const iniciarJobNoShow = () => {
+  if (!config.ativo || timer) return;
+
+  const executar = async () => {
+    if (emExecucao) return;
+    emExecucao = true;
+
+    try {
+      const marcadas = await processarNoShows();
+      if (marcadas.length > 0) {
+        console.log(`🚫 Job de no-show: ${marcadas.length} reserva(s) marcada(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Erro no job de no-show:', error);
+    } finally {
+      emExecucao = false;
+    }
+  };
+
+  timer = setInterval(executar, config.intervaloMinutos * MINUTO_MS);
+  timer.unref();
+
+  console.log(`⏱️ Job de no-show ativo (a cada ${config.intervaloMinutos} min, tolerância de ${config.toleranciaMinutos} min)`);
+};
+
+const pararJobNoShow = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  config,
+  marcarNoShow,
+  processarNoShows,
+  iniciarJobNoShow,
+  pararJobNoShow
+};
@@ -0,0 +1,91 @@
+// utils/overstay.js - CÁLCULO E ACÚMULO DE HORAS EXTRAS NA RESERVA
+const OverstayRule = require('../models/OverstayRule');
+const Room = require('../models/Room');
+const { calcularPreco } = require('./pricing');
+
+const MINUTO_MS = 60 * 1000;
+
+// Próximo período sem preço para o quarto (regra mal configurada) não pode travar o
+// check-out: registra o aviso e a cobrança fica nas horas extras (null)
+const precoDoProximoPeriodo = async (regra, room, reservation, session) => {
+  try {
+    const { preco } = await calcularPreco({
+      periodoId: regra.proximoPeriodo,
+      room,
+      data: reservation.actualCheckIn || reservation.checkIn,
+      session
+    });
+    return preco;
+  } catch (error) {
+    if (!error.status) throw error;
+    console.warn(`⚠️ Hora extra da reserva ${reservation.reservationNumber}: ${error.message} - cobrando por hora`);
+    return null;
+  }
+};
+
+// ✅ CALCULA A COBRANÇA DE PERMANÊNCIA (NÃO ALTERA A RESERVA)
+const calcularOverstay = async (reservation, { agora = new Date(), session = null } = {}) => {
+  const minutos = Math.max(0, Math.floor((agora - reservation.checkOut) / MINUTO_MS));
+
+  const resultado = {
+    minutes: minutos,
+    chargedHours: 0,
+    amount: 0,
+    ruleId: null,
+    convertedToPeriod: null,
+    calculatedAt: agora
+  };
+
+  if (minutos === 0) return resultado;
+
+  const room = await Room.findById(reservation.roomId).session(session);
+  const regra = await OverstayRule.buscarRegraAplicavel(reservation.periodType, room?.type || null);
+
+  if (!regra || minutos <= regra.toleranciaMinutos) return resultado;
+
+  const horas = regra.cobrarFracao ? Math.ceil(minutos / 60) : Math.floor(minutos / 60);
+
+  resultado.ruleId = regra._id;
+  resultado.chargedHours = horas;
+  resultado.amount = horas * regra.precoHoraExtra;
+
+  // Acima do limite, a diferença para o próximo período (ex: 4h → pernoite) funciona
+  // como teto: o hóspede paga o menor valor entre as horas extras e a conversão
+  if (regra.limiteHoras && regra.proximoPeriodo && horas > regra.limiteHoras && room) {
+    const precoProximo = await precoDoProximoPeriodo(regra, room, reservation, session);
+    const diferenca = precoProximo !== null ? precoProximo - reservation.getPrecoContratado() : 0;
+
+    if (diferenca > 0 && diferenca < resultado.amount) {
+      resultado.amount = diferenca;
+      resultado.convertedToPeriod = regra.proximoPeriodo;
+    }
+  }
+
+  return resultado;
+};
+
+// ✅ GRAVA O RESULTADO NA RESERVA (O CHAMADOR FAZ O SAVE)
+const acumularOverstay = async (reservation, { agora = new Date(), session = null, usuario = null } = {}) => {
+  const resultado = await calcularOverstay(reservation, { agora, session });
+
+  reservation.overstay = resultado;
+
+  const descricao = resultado.convertedToPeriod
+    ? `Permanência convertida para ${resultado.convertedToPeriod}`
+    : `${resultado.chargedHours}h extra(s) após o check-out`;
+
+  reservation.aplicarCobranca({
+    type: 'overstay',
+    amount: resultado.amount,
+    description: descricao,
+    userId: usuario?._id,
+    substituir: true
+  });
+
+  return resultado;
+};
+
+module.exports = {
+  calcularOverstay,
+  acumularOverstay
+};
@@ -0,0 +1,93 @@
+// utils/periodChange.js - TROCA DE PERÍODO COM O HÓSPEDE NO QUARTO (4h → 6h, 4h → pernoite...)
+const Reservation = require('../models/Reservation');
+const Room = require('../models/Room');
+const { comTransacao } = require('./transaction');
+const { criarErro } = require('./apiError');
+const { garantirDisponibilidade } = require('./reservationConflicts');
+const { buscarPeriodo, calcularCheckout } = require('./periodSchedule');
+const { precoDeTabela, calcularPreco } = require('./pricing');
+
+// ✅ ALTERA O PERÍODO DE UMA RESERVA EM ANDAMENTO
+// O novo check-out é contado a partir da entrada do hóspede e a diferença entre
+// os preços do quarto para os dois períodos vira uma cobrança na reserva.
+const alterarPeriodo = async (reservationId, { periodoId, motivo = '' }, usuario) => {
+  const periodo = await buscarPeriodo(periodoId);
+
+  return comTransacao(async (session) => {
+    const reservation = await Reservation.findById(reservationId).session(session);
+
+    if (!reservation) {
+      throw criarErro(404, 'Reserva não encontrada');
+    }
+
+    if (reservation.status !== 'checked-in') {
+      throw criarErro(400, 'A troca de período só é permitida com o hóspede no quarto (checked-in)');
+    }
+
+    if (reservation.periodType === periodo.id) {
+      throw criarErro(400, `A reserva já está no período ${periodo.nome}`);
+    }
+
+    const room = await Room.findById(reservation.roomId).session(session);
+
+    if (!room) {
+      throw criarErro(422, 'Quarto da reserva não encontrado para recalcular o preço');
+    }
+
+    // Os dois preços consideram as regras de preço dinâmico do horário de entrada
+    const entrada = reservation.actualCheckIn || reservation.checkIn;
+    const { preco: precoNovo, roomType } = await calcularPreco({ periodo, room, data: entrada, session });
+
+    // Período atual sem preço de tabela (ex: removido depois da venda): vale o preço contratado
+    const precoAtual = precoDeTabela({ periodoId: reservation.periodType, roomType, room })
+      ? (await calcularPreco({ periodoId: reservation.periodType, room, roomType, data: entrada, session })).preco
+      : reservation.getPrecoContratado();
+    const diferenca = precoNovo - precoAtual;
+
+    const novoCheckOut = calcularCheckout(periodo, entrada);
+
+    if (novoCheckOut <= new Date()) {
+      throw criarErro(400, `O período ${periodo.nome} já teria terminado (${novoCheckOut.toISOString()})`);
+    }
+
+    await garantirDisponibilidade({
+      roomId: reservation.roomId,
+      checkIn: reservation.checkIn,
+      checkOut: novoCheckOut,
+      excluirId: reservation._id,
+      session
+    });
+
+    reservation.auditar({ usuario, motivo, acao: 'period_change' });
+    reservation.periodChanges.push({
+      type: 'period_change',
+      fromPeriod: reservation.periodType,
+      toPeriod: periodo.id,
+      previousCheckOut: reservation.checkOut,
+      newCheckOut: novoCheckOut,
+      priceDifference: diferenca,
+      reason: motivo,
+      changedBy: usuario._id
+    });
+
+    reservation.aplicarCobranca({
+      type: 'period_change',
+      amount: diferenca,
+      description: `Troca de período: ${reservation.periodName || reservation.periodType} → ${periodo.nome}`,
+      userId: usuario._id
+    });
+
+    reservation.periodType = periodo.id;
+    reservation.periodName = periodo.nome;
+    reservation.checkOut = novoCheckOut;
+    reservation.updatedBy = usuario._id;
+
+    await reservation.save({ session });
+
+    return reservation;
+  });
+};
+
+module.exports = {
+  alterarPeriodo
+};
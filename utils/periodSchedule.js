@@ -0,0 +1,139 @@
+// utils/periodSchedule.js - CÁLCULO DO CHECK-OUT A PARTIR DA DEFINIÇÃO DO PERÍODO
+const Period = require('../models/Period');
+const { criarErro } = require('./apiError');
+
+const MINUTO_MS = 60 * 1000;
+const HORA_MS = 60 * MINUTO_MS;
+
+// "HH:MM" → { horas, minutos }
+const lerHorario = (horario) => {
+  const [horas, minutos] = horario.split(':').map(Number);
+  return { horas, minutos };
+};
+
+// ✅ PRÓXIMA OCORRÊNCIA DE UM HORÁRIO "HH:MM" APÓS O MOMENTO INFORMADO
+const proximaOcorrencia = (horario, aPartirDe) => {
+  const { horas, minutos } = lerHorario(horario);
+  const data = new Date(aPartirDe);
+  data.setHours(horas, minutos, 0, 0);
+
+  if (data <= aPartirDe) {
+    data.setDate(data.getDate() + 1);
+  }
+
+  return data;
+};
+
+// ✅ CHECK-OUT CONTRATADO PARA UM PERÍODO E UM CHECK-IN
+const calcularCheckout = (periodo, checkIn) => {
+  const inicio = new Date(checkIn);
+
+  if (periodo.tipo === 'horario') {
+    return new Date(inicio.getTime() + periodo.duracaoHoras * HORA_MS);
+  }
+
+  if (!periodo.checkOut) {
+    throw criarErro(422, `Período ${periodo.id} não possui horário de check-out definido`);
+  }
+
+  return proximaOcorrencia(periodo.checkOut, inicio);
+};
+
+// ✅ MINUTOS QUE O HÓSPEDE CHEGOU ANTES DA JANELA CHECK-IN → CHECK-OUT DO PERÍODO
+// A janela pode atravessar a meia-noite (pernoite 20:00 → 12:00): chegar às 02:00 está
+// dentro dela, às 15:00 está 5h antes. Períodos por horário começam na chegada (0).
+const minutosAntesDaJanela = (periodo, checkIn) => {
+  if (periodo.tipo === 'horario' || !periodo.checkIn || !periodo.checkOut) return 0;
+
+  const inicio = new Date(checkIn);
+  const abertura = lerHorario(periodo.checkIn);
+  const fechamento = lerHorario(periodo.checkOut);
+  const minutoDoDia = inicio.getHours() * 60 + inicio.getMinutes();
+  const minutoAbertura = abertura.horas * 60 + abertura.minutos;
+  const minutoFechamento = fechamento.horas * 60 + fechamento.minutos;
+
+  const dentroDaJanela = minutoAbertura <= minutoFechamento
+    ? minutoDoDia >= minutoAbertura && minutoDoDia < minutoFechamento
+    : minutoDoDia >= minutoAbertura || minutoDoDia < minutoFechamento;
+
+  if (dentroDaJanela) return 0;
+
+  return Math.ceil((proximaOcorrencia(periodo.checkIn, inicio) - inicio) / MINUTO_MS);
+};
+
+// ✅ AGENDA CONTRATADA: CHECK-OUT + CHEGADA ANTECIPADA CONFORME A POLÍTICA DO PERÍODO
+// Chegar antes não antecipa o check-out (continua sendo o próximo horário de saída).
+const calcularAgenda = (periodo, checkIn) => {
+  const inicio = new Date(checkIn);
+  const checkOut = calcularCheckout(periodo, inicio);
+  const minutos = minutosAntesDaJanela(periodo, inicio);
+  const { politica = 'permitir', toleranciaMinutos = 0, precoHora = 0 } = periodo.chegadaAntecipada || {};
+
+  const agenda = {
+    checkIn: inicio,
+    checkOut,
+    duracaoMinutos: Math.round((checkOut - inicio) / MINUTO_MS),
+    chegadaAntecipada: null
+  };
+
+  if (minutos <= 0) return agenda;
+
+  const inicioJanela = proximaOcorrencia(periodo.checkIn, inicio);
+  const cobrada = minutos > toleranciaMinutos;
+
+  if (cobrada && politica === 'recusar') {
+    throw criarErro(
+      422,
+      `${periodo.nome} começa às ${periodo.checkIn}: chegada antecipada não permitida`,
+      { inicioPermitido: new Date(inicioJanela.getTime() - toleranciaMinutos * MINUTO_MS) }
+    );
+  }
+
+  const horasCobradas = cobrada && politica === 'cobrar' ? Math.ceil(minutos / 60) : 0;
+
+  agenda.chegadaAntecipada = {
+    minutos,
+    inicioJanela,
+    politica,
+    horasCobradas,
+    valor: horasCobradas * precoHora
+  };
+
+  return agenda;
+};
+
+// ✅ LANÇA A TAXA DE CHEGADA ANTECIPADA NA RESERVA (O CHAMADOR FAZ O SAVE)
+const cobrarChegadaAntecipada = (reservation, agenda, usuario = null) => {
+  const chegada = agenda?.chegadaAntecipada;
+
+  reservation.aplicarCobranca({
+    type: 'early_arrival',
+    amount: chegada?.valor || 0,
+    description: chegada
+      ? `Chegada ${chegada.horasCobradas}h antes do início do período (${chegada.inicioJanela.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })})`
+      : '',
+    userId: usuario?._id,
+    substituir: true
+  });
+};
+
+// ✅ BUSCA O PERÍODO ATIVO PELO ID ('4h', 'pernoite'...)
+const buscarPeriodo = async (periodoId) => {
+  const periodo = await Period.findOne({ id: periodoId, ativo: true });
+
+  if (!periodo) {
+    throw criarErro(404, `Período ${periodoId} não encontrado ou inativo`);
+  }
+
+  return periodo;
+};
+
+module.exports = {
+  lerHorario,
+  proximaOcorrencia,
+  calcularCheckout,
+  minutosAntesDaJanela,
+  calcularAgenda,
+  cobrarChegadaAntecipada,
+  buscarPeriodo
+};
@@ -0,0 +1,97 @@
+// utils/pricing.js - CÁLCULO ÚNICO DE PREÇO (PERÍODO + TIPO DE QUARTO + QUARTO + REGRAS)
+const Period = require('../models/Period');
+const RoomType = require('../models/RoomType');
+const { criarErro } = require('./apiError');
+const { aplicarRegrasDePreco } = require('./pricingRules');
+
+const arredondar = (valor) => Math.round(valor * 100) / 100;
+
+// ✅ PREÇO DE TABELA: PREÇO PRÓPRIO DO QUARTO > PREÇO DO TIPO (null quando não cadastrado)
+const precoDeTabela = ({ periodoId, roomType = null, room = null }) => {
+  const doQuarto = room?.getOwnPriceForPeriod(periodoId);
+  if (doQuarto !== null && doQuarto !== undefined) {
+    return { valor: doQuarto, origem: 'quarto' };
+  }
+
+  const doTipo = roomType?.getPrecoCadastrado(periodoId);
+  if (doTipo !== null && doTipo !== undefined) {
+    return { valor: doTipo, origem: 'tipo_quarto' };
+  }
+
+  return null;
+};
+
+// ✅ PREÇO DA ESTADIA COM DETALHAMENTO
+// Sem período ativo, tipo de quarto ou preço cadastrado lança erro: nunca assume valor padrão.
+const calcularPreco = async ({
+  periodo = null,
+  periodoId = null,
+  room = null,
+  roomType = null,
+  data = new Date(),
+  session = null,
+  contextoDePreco = null
+}) => {
+  const periodoFinal = periodo || await Period.findOne({ id: periodoId, ativo: true }).session(session);
+
+  if (!periodoFinal) {
+    throw criarErro(404, `Período ${periodoId} não encontrado ou inativo`);
+  }
+
+  const tipo = roomType || (room && await RoomType.findOne({ id: room.type }).session(session));
+
+  if (!tipo) {
+    throw criarErro(422, room
+      ? `Tipo ${room.type} do quarto ${room.number} não encontrado`
+      : 'Informe o quarto ou o tipo de quarto para calcular o preço');
+  }
+
+  const tabela = precoDeTabela({ periodoId: periodoFinal.id, roomType: tipo, room });
+
+  if (!tabela) {
+    throw criarErro(422, room
+      ? `Quarto ${room.number} (${tipo.nome}) não possui preço para o período ${periodoFinal.nome}`
+      : `Tipo ${tipo.nome} não possui preço para o período ${periodoFinal.nome}`);
+  }
+
+  const { preco, feriado, regras } = await aplicarRegrasDePreco({
+    precoBase: tabela.valor,
+    periodoId: periodoFinal.id,
+    roomTypeId: tipo.id,
+    data,
+    session,
+    contextoDePreco
+  });
+
+  const itens = [
+    {
+      tipo: 'tabela',
+      descricao: tabela.origem === 'quarto'
+        ? `${periodoFinal.nome} - preço do quarto ${room.number}`
+        : `${periodoFinal.nome} - ${tipo.nome}`,
+      valor: tabela.valor
+    },
+    ...regras.map(regra => ({
+      tipo: 'regra',
+      ruleId: regra.ruleId,
+      descricao: regra.nome,
+      valor: arredondar(regra.precoDepois - regra.precoAntes)
+    }))
+  ];
+
+  return {
+    periodo: periodoFinal,
+    roomType: tipo,
+    origem: tabela.origem,
+    precoBase: tabela.valor,
+    preco,
+    feriado,
+    regras,
+    itens
+  };
+};
+
+module.exports = {
+  precoDeTabela,
+  calcularPreco
+};
@@ -0,0 +1,125 @@
+// utils/pricingRules.js - APLICAÇÃO DAS REGRAS DE PREÇO DINÂMICO
+const PricingRule = require('../models/PricingRule');
+const { lerHorario } = require('./periodSchedule');
+const { ehFeriado } = require('./holidays');
+
+const MINUTOS_DIA = 24 * 60;
+
+const arredondar = (valor) => Math.round(valor * 100) / 100;
+
+const minutosDoHorario = (horario) => {
+  const { horas, minutos } = lerHorario(horario);
+  return horas * 60 + minutos;
+};
+
+// Faixa com fim antes do início atravessa a meia-noite
+const dentroDaFaixa = (valor, inicio, fim) => {
+  return inicio <= fim
+    ? valor >= inicio && valor < fim
+    : valor >= inicio || valor < fim;
+};
+
+// ✅ A REGRA VALE PARA ESTE CHECK-IN?
+const regraSeAplica = (regra, { data, feriado }) => {
+  if (regra.validoDe && data < regra.validoDe) return false;
+  if (regra.validoAte && data >= regra.validoAte) return false;
+
+  if (regra.feriado === 'apenas' && !feriado) return false;
+  if (regra.feriado === 'exceto' && feriado) return false;
+
+  if (regra.diasSemana?.length > 0 && !regra.diasSemana.includes(data.getDay())) return false;
+
+  const minutoDoDia = data.getHours() * 60 + data.getMinutes();
+
+  if (regra.horario?.inicio && regra.horario?.fim) {
+    const inicio = minutosDoHorario(regra.horario.inicio);
+    const fim = minutosDoHorario(regra.horario.fim);
+    if (!dentroDaFaixa(minutoDoDia, inicio, fim)) return false;
+  }
+
+  const janela = regra.janelaSemanal;
+  if (janela?.inicio && janela?.fim) {
+    const minutoDaSemana = data.getDay() * MINUTOS_DIA + minutoDoDia;
+    const inicio = janela.inicio.dia * MINUTOS_DIA + minutosDoHorario(janela.inicio.hora);
+    const fim = janela.fim.dia * MINUTOS_DIA + minutosDoHorario(janela.fim.hora);
+    if (!dentroDaFaixa(minutoDaSemana, inicio, fim)) return false;
+  }
+
+  return true;
+};
+
+const ajustar = (preco, regra) => {
+  if (regra.tipoAjuste === 'preco_fixo') return regra.valor;
+  if (regra.tipoAjuste === 'percentual') return preco * (1 + regra.valor / 100);
+  return preco + regra.valor;
+};
+
+// ✅ REGRAS E FERIADO CARREGADOS UMA VEZ PARA PRECIFICAR VÁRIOS QUARTOS NO MESMO HORÁRIO
+const carregarContextoDePreco = async ({ periodoId, roomTypeIds, data = new Date(), session = null }) => {
+  const regras = await PricingRule.buscarCandidatas({ periodoId, roomTypeId: roomTypeIds, session });
+  const feriado = await ehFeriado(new Date(data), { session });
+
+  return { regras, feriado };
+};
+
+// Mantém a ordem de prioridade da busca
+const regrasDoTipo = (regras, roomTypeId) => {
+  return regras.filter(regra => !regra.roomTypeIds?.length || regra.roomTypeIds.includes(roomTypeId));
+};
+
+// ✅ PREÇO FINAL A PARTIR DO PREÇO DE TABELA
+// Regras avaliadas da maior para a menor prioridade (uma exclusiva encerra a lista).
+// Entre as selecionadas, o preço fixo de maior prioridade substitui a tabela e os
+// ajustes percentuais / em valor são somados em seguida, na ordem de prioridade.
+// contextoDePreco (carregarContextoDePreco) evita repetir as buscas de regras e feriado.
+const aplicarRegrasDePreco = async ({ precoBase, periodoId, roomTypeId, data = new Date(), session = null, contextoDePreco = null }) => {
+  const momento = new Date(data);
+  const candidatas = contextoDePreco
+    ? regrasDoTipo(contextoDePreco.regras, roomTypeId)
+    : await PricingRule.buscarCandidatas({ periodoId, roomTypeId, session });
+  const feriado = contextoDePreco
+    ? contextoDePreco.feriado
+    : await ehFeriado(momento, { session });
+
+  const selecionadas = [];
+  for (const regra of candidatas) {
+    if (!regraSeAplica(regra, { data: momento, feriado })) continue;
+    selecionadas.push(regra);
+    if (regra.exclusiva) break;
+  }
+
+  const precoFixo = selecionadas.find(regra => regra.tipoAjuste === 'preco_fixo');
+  const ordem = [
+    ...(precoFixo ? [precoFixo] : []),
+    ...selecionadas.filter(regra => regra.tipoAjuste !== 'preco_fixo')
+  ];
+
+  let preco = precoBase;
+  const regras = ordem.map(regra => {
+    const precoAntes = arredondar(preco);
+    preco = Math.max(0, ajustar(preco, regra));
+
+    return {
+      ruleId: regra._id,
+      nome: regra.nome,
+      tipoAjuste: regra.tipoAjuste,
+      valor: regra.valor,
+      prioridade: regra.prioridade,
+      precoAntes,
+      precoDepois: arredondar(preco)
+    };
+  });
+
+  return {
+    precoBase,
+    preco: arredondar(preco),
+    feriado,
+    regras
+  };
+};
+
+module.exports = {
+  regraSeAplica,
+  carregarContextoDePreco,
+  aplicarRegrasDePreco
+};
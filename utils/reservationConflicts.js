@@ -0,0 +1,119 @@
+// utils/reservationConflicts.js - PREVENÇÃO DE RESERVAS SOBREPOSTAS NO MESMO QUARTO
+const Reservation = require('../models/Reservation');
+const Room = require('../models/Room');
+const RoomType = require('../models/RoomType');
+const { criarErro } = require('./apiError');
+
+// Status que ocupam o quarto na linha do tempo
+const STATUS_QUE_BLOQUEIAM = ['pending', 'confirmed', 'checked-in'];
+
+// ✅ INTERVALO DE LIMPEZA ENTRE ESTADIAS (RoomType.configuracao.intervaloLimpezaMinutos)
+const obterIntervaloLimpeza = async (room, session = null) => {
+  if (!room) return 0;
+  const roomType = await RoomType.findOne({ id: room.type }).session(session);
+  return roomType?.configuracao?.intervaloLimpezaMinutos || 0;
+};
+
+// ✅ TRAVA O QUARTO DENTRO DA TRANSAÇÃO
+// Duas transações que escrevem no mesmo documento geram WriteConflict: a segunda
+// é repetida por withTransaction e passa a enxergar a reserva gravada pela primeira.
+const bloquearQuarto = (roomId, session) => {
+  return Room.updateOne(
+    { _id: roomId },
+    { $inc: { reservationLock: 1 } },
+    { session, timestamps: false }
+  );
+};
+
+// Hóspede ainda no quarto ocupa até sair, mesmo após o check-out previsto
+const sobrepoe = (reserva, inicio, intervaloMs, agora) => {
+  const fimEfetivo = reserva.status === 'checked-in'
+    ? Math.max(reserva.checkOut.getTime(), agora)
+    : reserva.checkOut.getTime();
+
+  return fimEfetivo + intervaloMs > inicio;
+};
+
+// ✅ BUSCA A PRIMEIRA RESERVA QUE SOBREPÕE O INTERVALO (CONSIDERANDO A LIMPEZA)
+// intervaloLimpezaMinutos pode ser informado para evitar a busca do quarto/tipo
+const buscarConflito = async ({ roomId, checkIn, checkOut, excluirId = null, session = null, intervaloLimpezaMinutos }) => {
+  let intervaloMinutos = intervaloLimpezaMinutos;
+
+  if (intervaloMinutos === undefined) {
+    const room = await Room.findById(roomId).session(session);
+    intervaloMinutos = await obterIntervaloLimpeza(room, session);
+  }
+
+  const intervaloMs = intervaloMinutos * 60 * 1000;
+  const inicio = new Date(checkIn).getTime();
+  const fim = new Date(checkOut).getTime();
+
+  // Usa o índice { roomId, checkIn }: candidatas que começam antes do fim + limpeza
+  const filtro = {
+    roomId,
+    status: { $in: STATUS_QUE_BLOQUEIAM },
+    checkIn: { $lt: new Date(fim + intervaloMs) }
+  };
+
+  if (excluirId) filtro._id = { $ne: excluirId };
+
+  const candidatas = await Reservation.find(filtro).sort({ checkIn: 1 }).session(session);
+  const agora = Date.now();
+
+  return candidatas.find(reserva => sobrepoe(reserva, inicio, intervaloMs, agora)) || null;
+};
+
+// ✅ QUARTOS COM SOBREPOSIÇÃO NO INTERVALO (UMA ÚNICA BUSCA PARA VÁRIOS QUARTOS)
+// intervaloPorQuarto: Map roomId (string) -> minutos de limpeza do tipo do quarto
+const buscarQuartosComConflito = async ({ roomIds, checkIn, checkOut, intervaloPorQuarto = new Map(), session = null }) => {
+  if (roomIds.length === 0) return new Set();
+
+  const intervaloMaximoMs = Math.max(0, ...intervaloPorQuarto.values()) * 60 * 1000;
+  const inicio = new Date(checkIn).getTime();
+  const fim = new Date(checkOut).getTime();
+
+  const candidatas = await Reservation.find({
+    roomId: { $in: roomIds },
+    status: { $in: STATUS_QUE_BLOQUEIAM },
+    checkIn: { $lt: new Date(fim + intervaloMaximoMs) }
+  })
+    .select('roomId status checkIn checkOut')
+    .session(session);
+
+  const agora = Date.now();
+  const comConflito = new Set();
+
+  for (const reserva of candidatas) {
+    const roomId = reserva.roomId.toString();
+    const intervaloMs = (intervaloPorQuarto.get(roomId) || 0) * 60 * 1000;
+
+    if (reserva.checkIn.getTime() >= fim + intervaloMs) continue;
+    if (sobrepoe(reserva, inicio, intervaloMs, agora)) comConflito.add(roomId);
+  }
+
+  return comConflito;
+};
+
+// ✅ TRAVA O QUARTO E FALHA COM 409 SE HOUVER SOBREPOSIÇÃO
+const garantirDisponibilidade = async (params) => {
+  await bloquearQuarto(params.roomId, params.session);
+
+  const conflito = await buscarConflito(params);
+
+  if (conflito) {
+    throw criarErro(
+      409,
+      `Quarto ${conflito.roomNumber} já está reservado de ${conflito.checkIn.toISOString()} até ${conflito.checkOut.toISOString()} (reserva ${conflito.reservationNumber})`,
+      { conflictingReservation: conflito }
+    );
+  }
+};
+
+module.exports = {
+  STATUS_QUE_BLOQUEIAM,
+  obterIntervaloLimpeza,
+  bloquearQuarto,
+  buscarConflito,
+  buscarQuartosComConflito,
+  garantirDisponibilidade
+};
@@ -0,0 +1,383 @@
+// utils/reservationGroups.js - RESERVAS EM GRUPO (CRIAÇÃO ATÔMICA, CONTA DO GRUPO, CHECK-IN/OUT E CANCELAMENTO)
+const Reservation = require('../models/Reservation');
+const ReservationGroup = require('../models/ReservationGroup');
+const Room = require('../models/Room');
+const RoomType = require('../models/RoomType');
+const { comTransacao } = require('./transaction');
+const { criarErro } = require('./apiError');
+const { garantirDisponibilidade } = require('./reservationConflicts');
+const { definirContexto } = require('./roomAvailability');
+const { calcularAgenda, cobrarChegadaAntecipada, buscarPeriodo } = require('./periodSchedule');
+const { montarFolio, temSaldoAberto, registrarPagamento, sincronizarStatusPagamento } = require('./folio');
+const { aplicarHospedes } = require('./guests');
+const { calcularPreco } = require('./pricing');
+const { verificarDisponibilidadeNaData } = require('./holidays');
+const { realizarCheckIn, realizarCheckOut } = require('./reservationWorkflow');
+const { calcularReembolso, cancelarReserva, podeAprovarReembolso, config: configCancelamento } = require('./cancellation');
+const { buscarTurnoInfoAtual } = require('./turno');
+
+const TOLERANCIA_CENTAVOS = 0.009;
+const STATUS_ENCERRADOS = ['checked-out', 'cancelled', 'no-show'];
+const TOTAIS_DO_FOLIO = ['room', 'charges', 'consumption', 'discounts', 'total', 'paid', 'balance'];
+
+const arredondar = (valor) => Math.round(valor * 100) / 100;
+
+const buscarGrupo = async (groupId, session = null) => {
+  const grupo = await ReservationGroup.findById(groupId).session(session);
+
+  if (!grupo) {
+    throw criarErro(404, 'Grupo não encontrado');
+  }
+
+  const reservations = await Reservation.find({ groupId: grupo._id })
+    .sort({ roomNumber: 1 })
+    .session(session);
+
+  return { grupo, reservations };
+};
+
+// ✅ STATUS DO GRUPO DERIVADO DAS RESERVAS
+const sincronizarStatusGrupo = (grupo, reservations) => {
+  if (reservations.every(reserva => reserva.status === 'cancelled')) {
+    grupo.status = 'cancelado';
+  } else if (reservations.every(reserva => STATUS_ENCERRADOS.includes(reserva.status))) {
+    grupo.status = 'finalizado';
+  } else {
+    grupo.status = 'ativo';
+  }
+};
+
+// ✅ CONTA DO GRUPO: FOLIO DE CADA QUARTO + TOTAIS SOMADOS
+const montarFolioGrupo = async (grupo, reservations, { session = null } = {}) => {
+  const quartos = [];
+
+  for (const reservation of reservations) {
+    const folio = await montarFolio(reservation, { session });
+    quartos.push({
+      reservationId: reservation._id,
+      reservationNumber: reservation.reservationNumber,
+      roomNumber: reservation.roomNumber,
+      status: reservation.status,
+      folio
+    });
+  }
+
+  const totals = {};
+  TOTAIS_DO_FOLIO.forEach(campo => {
+    totals[campo] = arredondar(quartos.reduce((soma, quarto) => soma + quarto.folio.totals[campo], 0));
+  });
+
+  return {
+    groupId: grupo._id,
+    groupNumber: grupo.groupNumber,
+    tipoConta: grupo.tipoConta,
+    quartos,
+    totals
+  };
+};
+
+// ✅ CRIA O GRUPO E TODAS AS RESERVAS NA MESMA TRANSAÇÃO (TUDO OU NADA)
+const criarGrupo = async ({
+  nome,
+  customerName,
+  customerPhone,
+  customerId = null,
+  periodoId,
+  inicio,
+  contexto,
+  tipoConta,
+  quartos,
+  observacoes,
+  turnoInfo
+}, usuario) => {
+  if (!Array.isArray(quartos) || quartos.length < 2) {
+    throw criarErro(400, 'Grupo deve ter pelo menos 2 quartos');
+  }
+
+  const roomIds = quartos.map(quarto => String(quarto.roomId || ''));
+
+  if (roomIds.some(id => !id) || new Set(roomIds).size !== roomIds.length) {
+    throw criarErro(400, 'Informe quartos diferentes para cada reserva do grupo');
+  }
+
+  const periodo = await buscarPeriodo(periodoId);
+  const checkIn = inicio ? new Date(inicio) : new Date();
+
+  if (isNaN(checkIn.getTime())) {
+    throw criarErro(400, 'Horário de início inválido');
+  }
+
+  const agenda = calcularAgenda(periodo, checkIn);
+  const { checkOut } = agenda;
+  const { disponivel, motivo } = await verificarDisponibilidadeNaData(periodo, checkIn);
+
+  if (!disponivel) {
+    throw criarErro(409, motivo);
+  }
+  const contextoFinal = contexto || definirContexto(checkIn);
+
+  const rooms = await Room.find({ _id: { $in: roomIds }, isActive: true });
+  const quartosPorId = new Map(rooms.map(room => [room._id.toString(), room]));
+  const faltando = roomIds.filter(id => !quartosPorId.has(id));
+
+  if (faltando.length > 0) {
+    throw criarErro(404, `Quartos não encontrados: ${faltando.join(', ')}`);
+  }
+
+  const roomTypes = await RoomType.find({ id: { $in: [...new Set(rooms.map(room => room.type))] } });
+  const tiposPorId = new Map(roomTypes.map(roomType => [roomType.id, roomType]));
+
+  const itens = [];
+
+  for (const quarto of quartos) {
+    const room = quartosPorId.get(String(quarto.roomId));
+    const { roomType, preco, regras } = await calcularPreco({
+      periodo,
+      room,
+      roomType: tiposPorId.get(room.type),
+      data: checkIn
+    });
+
+    itens.push({ ...quarto, room, roomType, preco, regras });
+  }
+
+  const turno = turnoInfo || await buscarTurnoInfoAtual();
+
+  return comTransacao(async (session) => {
+    const grupo = new ReservationGroup({
+      nome,
+      customerName,
+      customerPhone,
+      customerId,
+      tipoConta,
+      observacoes,
+      criadoPor: usuario._id,
+      atualizadoPor: usuario._id
+    });
+
+    const reservations = [];
+
+    // Todos os quartos são travados e verificados antes de gravar qualquer reserva
+    for (const { room, roomType } of itens) {
+      await garantirDisponibilidade({
+        roomId: room._id,
+        checkIn,
+        checkOut,
+        session,
+        intervaloLimpezaMinutos: roomType?.configuracao?.intervaloLimpezaMinutos || 0
+      });
+    }
+
+    for (const item of itens) {
+      const reservation = new Reservation({
+        customerName: item.customerName || customerName,
+        customerPhone: item.customerPhone || customerPhone,
+        customerId: item.customerName ? null : customerId,
+        groupId: grupo._id,
+        roomId: item.room._id,
+        roomNumber: item.room.number,
+        checkIn,
+        checkOut,
+        periodType: periodo.id,
+        periodName: periodo.nome,
+        contexto: contextoFinal,
+        basePrice: item.preco,
+        totalPrice: item.preco,
+        appliedPricingRules: item.regras,
+        status: 'confirmed',
+        paymentStatus: 'pending',
+        notes: item.notes,
+        turnoInfo: turno,
+        createdBy: usuario._id,
+        updatedBy: usuario._id
+      });
+
+      reservation.auditar({ usuario, acao: 'create:group' });
+
+      await aplicarHospedes(reservation, {
+        guestCount: item.guestCount,
+        companions: item.companions
+      }, { room: item.room, roomType: item.roomType, usuario, session });
+
+      cobrarChegadaAntecipada(reservation, agenda, usuario);
+
+      await reservation.save({ session });
+      reservations.push(reservation);
+    }
+
+    grupo.reservationIds = reservations.map(reservation => reservation._id);
+    await grupo.save({ session });
+
+    return { grupo, reservations };
+  });
+};
+
+// ✅ PAGAMENTO NA CONTA COMPARTILHADA: QUITA OS SALDOS DOS QUARTOS EM ORDEM
+const registrarPagamentoGrupo = (groupId, { method, amount, valorRecebido, notes = '', turnoInfo }, usuario) => {
+  return comTransacao(async (session) => {
+    const { grupo, reservations } = await buscarGrupo(groupId, session);
+
+    if (grupo.tipoConta !== 'compartilhada') {
+      throw criarErro(400, 'Grupo com contas individuais: registre o pagamento em cada reserva');
+    }
+
+    const folioGrupo = await montarFolioGrupo(grupo, reservations, { session });
+    const valor = arredondar(amount);
+
+    if (valor > folioGrupo.totals.balance + TOLERANCIA_CENTAVOS) {
+      throw criarErro(400, `Pagamento de R$ ${valor.toFixed(2)} maior que o saldo do grupo (R$ ${folioGrupo.totals.balance.toFixed(2)})`);
+    }
+
+    const recebido = method === 'cash' && valorRecebido ? arredondar(valorRecebido) : valor;
+
+    if (recebido < valor) {
+      throw criarErro(400, 'Valor recebido não pode ser menor que o valor do pagamento');
+    }
+
+    let restante = valor;
+    let troco = arredondar(recebido - valor);
+
+    for (const [indice, reservation] of reservations.entries()) {
+      const saldo = folioGrupo.quartos[indice].folio.totals.balance;
+      if (restante <= TOLERANCIA_CENTAVOS || saldo <= TOLERANCIA_CENTAVOS) continue;
+
+      const parcela = arredondar(Math.min(saldo, restante));
+
+      // O troco sai junto com a primeira parcela
+      registrarPagamento(reservation, {
+        method,
+        amount: parcela,
+        valorRecebido: troco > 0 ? arredondar(parcela + troco) : undefined,
+        notes: notes || `Pagamento do grupo ${grupo.groupNumber}`,
+        turnoInfo
+      }, usuario);
+
+      restante = arredondar(restante - parcela);
+      troco = 0;
+
+      reservation.auditar({ usuario, motivo: notes, acao: 'payment:group' });
+      sincronizarStatusPagamento(reservation, await montarFolio(reservation, { session }));
+      reservation.updatedBy = usuario._id;
+      await reservation.save({ session });
+    }
+
+    return {
+      grupo,
+      folio: await montarFolioGrupo(grupo, reservations, { session }),
+      troco: arredondar(recebido - valor)
+    };
+  });
+};
+
+// Cada quarto tem sua própria transação: o resultado informa o que deu certo em cada um
+const executarPorReserva = async (reservations, operacao) => {
+  const resultados = [];
+
+  for (const reservation of reservations) {
+    try {
+      await operacao(reservation);
+      resultados.push({ reservationId: reservation._id, roomNumber: reservation.roomNumber, success: true });
+    } catch (error) {
+      resultados.push({
+        reservationId: reservation._id,
+        roomNumber: reservation.roomNumber,
+        success: false,
+        message: error.message,
+        ...(error.data || {})
+      });
+    }
+  }
+
+  return resultados;
+};
+
+const finalizarOperacao = async (groupId, resultados, usuario) => {
+  const { grupo, reservations } = await buscarGrupo(groupId);
+
+  sincronizarStatusGrupo(grupo, reservations);
+  grupo.atualizadoPor = usuario._id;
+  await grupo.save();
+
+  return { grupo, reservations, resultados };
+};
+
+// ✅ CHECK-IN DE TODOS OS QUARTOS CONFIRMADOS DO GRUPO
+const checkInGrupo = async (groupId, usuario) => {
+  const { reservations } = await buscarGrupo(groupId);
+  const pendentes = reservations.filter(reservation => reservation.canCheckIn());
+
+  if (pendentes.length === 0) {
+    throw criarErro(400, 'Nenhum quarto do grupo aguardando check-in');
+  }
+
+  const resultados = await executarPorReserva(pendentes, reservation => realizarCheckIn(reservation._id, usuario));
+
+  return finalizarOperacao(groupId, resultados, usuario);
+};
+
+// ✅ CHECK-OUT DE TODOS OS QUARTOS OCUPADOS DO GRUPO
+// Conta compartilhada: a saída só começa com o saldo do grupo quitado
+const checkOutGrupo = async (groupId, usuario) => {
+  const { grupo, reservations } = await buscarGrupo(groupId);
+  const hospedados = reservations.filter(reservation => reservation.canCheckOut());
+
+  if (hospedados.length === 0) {
+    throw criarErro(400, 'Nenhum quarto do grupo com hóspedes');
+  }
+
+  if (grupo.tipoConta === 'compartilhada') {
+    const folio = await montarFolioGrupo(grupo, reservations);
+
+    if (temSaldoAberto(folio)) {
+      throw criarErro(409, `Conta do grupo com saldo em aberto de R$ ${folio.totals.balance.toFixed(2)}`, { folio });
+    }
+  }
+
+  const resultados = await executarPorReserva(hospedados, reservation => realizarCheckOut(reservation._id, usuario));
+
+  return finalizarOperacao(groupId, resultados, usuario);
+};
+
+// ✅ CANCELAMENTO DO GRUPO: POLÍTICA DE REEMBOLSO APLICADA EM CADA QUARTO
+// A aprovação da gerência considera o reembolso somado do grupo
+const cancelarGrupo = async (groupId, { motivo, method }, usuario) => {
+  if (typeof motivo !== 'string' || !motivo.trim()) {
+    throw criarErro(400, 'Motivo do cancelamento é obrigatório');
+  }
+
+  const { reservations } = await buscarGrupo(groupId);
+  const cancelaveis = reservations.filter(reservation => reservation.canCancel());
+
+  if (cancelaveis.length === 0) {
+    throw criarErro(400, 'Nenhum quarto do grupo pode ser cancelado');
+  }
+
+  let reembolsoTotal = 0;
+  for (const reservation of cancelaveis) {
+    reembolsoTotal += (await calcularReembolso(reservation)).valorReembolso;
+  }
+  reembolsoTotal = arredondar(reembolsoTotal);
+
+  if (reembolsoTotal > configCancelamento.limiteSemAprovacao && !podeAprovarReembolso(usuario)) {
+    throw criarErro(
+      403,
+      `Reembolso de R$ ${reembolsoTotal.toFixed(2)} exige aprovação da gerência (reservas.cancelar)`,
+      { reembolsoTotal }
+    );
+  }
+
+  const resultados = await executarPorReserva(cancelaveis, reservation =>
+    cancelarReserva(reservation._id, { motivo, method }, usuario));
+
+  return { ...(await finalizarOperacao(groupId, resultados, usuario)), reembolsoTotal };
+};
+
+module.exports = {
+  buscarGrupo,
+  montarFolioGrupo,
+  criarGrupo,
+  registrarPagamentoGrupo,
+  checkInGrupo,
+  checkOutGrupo,
+  cancelarGrupo
+};
@@ -0,0 +1,239 @@
+// utils/reservationWorkflow.js - FLUXO DE CHECK-IN / CHECK-OUT (RESERVA + QUARTO)
+const Reservation = require('../models/Reservation');
+const Room = require('../models/Room');
+const Order = require('../models/Order');
+const { comTransacao } = require('./transaction');
+const { criarErro } = require('./apiError');
+const { acumularOverstay } = require('./overstay');
+const { garantirDisponibilidade } = require('./reservationConflicts');
+const { montarFolio, temSaldoAberto, sincronizarStatusPagamento } = require('./folio');
+const { aplicarHospedes } = require('./guests');
+const { calcularPreco } = require('./pricing');
+const { buscarTurnoInfoAtual } = require('./turno');
+
+// Pedidos ainda não entregues seguem o hóspede para o novo quarto
+const STATUS_PEDIDO_ABERTO = ['pending', 'confirmed', 'preparing', 'ready'];
+
+// ✅ CHECK-IN: reserva → checked-in, quarto → occupied
+// Hóspedes informados na chegada são validados contra a capacidade do quarto
+const realizarCheckIn = (reservationId, usuario, { guestCount, companions } = {}) => {
+  return comTransacao(async (session) => {
+    const reservation = await Reservation.findById(reservationId).session(session);
+
+    if (!reservation) {
+      throw criarErro(404, 'Reserva não encontrada');
+    }
+
+    if (!reservation.canCheckIn()) {
+      throw criarErro(400, `Não é possível fazer check-in de reservas com status "${reservation.status}"`);
+    }
+
+    // Só ocupa o quarto se ele estiver livre (filtro garante atomicidade)
+    const resultadoQuarto = await Room.updateOne(
+      { _id: reservation.roomId, status: 'available' },
+      { $set: { status: 'occupied', updatedBy: usuario._id } },
+      { session }
+    );
+
+    if (resultadoQuarto.matchedCount === 0) {
+      const room = await Room.findById(reservation.roomId).session(session);
+      throw criarErro(409, room
+        ? `Quarto ${room.number} não está disponível (status: ${room.status})`
+        : 'Quarto da reserva não encontrado');
+    }
+
+    const room = await Room.findById(reservation.roomId).session(session);
+
+    await aplicarHospedes(reservation, { guestCount, companions }, { room, usuario, session });
+
+    reservation.status = 'checked-in';
+    reservation.actualCheckIn = new Date();
+    reservation.checkedInBy = usuario._id;
+    reservation.updatedBy = usuario._id;
+    await reservation.save({ session });
+
+    return { reservation, room };
+  });
+};
+
+// ✅ CHECK-OUT: reserva → checked-out, quarto → cleaning
+// As horas extras são calculadas no momento da saída e somadas à reserva;
+// a saída é recusada enquanto o folio tiver saldo em aberto
+const realizarCheckOut = (reservationId, usuario) => {
+  return comTransacao(async (session) => {
+    const reservation = await Reservation.findById(reservationId).session(session);
+
+    if (!reservation) {
+      throw criarErro(404, 'Reserva não encontrada');
+    }
+
+    if (!reservation.canCheckOut()) {
+      throw criarErro(400, `Não é possível fazer check-out de reservas com status "${reservation.status}"`);
+    }
+
+    const agora = new Date();
+    await acumularOverstay(reservation, { agora, session, usuario });
+
+    const folio = await montarFolio(reservation, { session });
+
+    if (temSaldoAberto(folio)) {
+      throw criarErro(409, `Conta com saldo em aberto de R$ ${folio.totals.balance.toFixed(2)}`, { folio });
+    }
+
+    // Consumo lançado no quarto fica quitado junto com a conta (no turno da saída)
+    const turnoInfo = await buscarTurnoInfoAtual(session);
+    await Order.updateMany(
+      { _id: { $in: folio.orderIds }, 'paymentInfo.status': 'pending' },
+      {
+        $set: {
+          'paymentInfo.status': 'paid',
+          'paymentInfo.paidAt': agora,
+          'paymentInfo.turnoInfo': {
+            turnoId: turnoInfo?.turnoId || null,
+            turnoNome: turnoInfo?.turnoNome || null
+          }
+        }
+      },
+      { session }
+    );
+
+    sincronizarStatusPagamento(reservation, folio);
+    reservation.status = 'checked-out';
+    reservation.actualCheckOut = agora;
+    reservation.checkedOutBy = usuario._id;
+    reservation.updatedBy = usuario._id;
+    await reservation.save({ session });
+
+    await Room.updateOne(
+      { _id: reservation.roomId },
+      {
+        $set: { status: 'cleaning', cleaningSince: agora, updatedBy: usuario._id },
+        $unset: { maintenanceReason: 1, maintenanceSince: 1 }
+      },
+      { session }
+    );
+
+    const room = await Room.findById(reservation.roomId).session(session);
+
+    return { reservation, room, folio };
+  });
+};
+
+// ✅ TRANSFERÊNCIA: hóspede muda de quarto sem encerrar a reserva
+// Quarto antigo → maintenance/cleaning (com motivo), quarto novo → occupied
+const transferirQuarto = (reservationId, { roomId, motivo, statusQuartoAnterior = 'maintenance', reprecificar = false }, usuario) => {
+  return comTransacao(async (session) => {
+    const reservation = await Reservation.findById(reservationId).session(session);
+
+    if (!reservation) {
+      throw criarErro(404, 'Reserva não encontrada');
+    }
+
+    if (reservation.status !== 'checked-in') {
+      throw criarErro(400, 'A transferência só é permitida com o hóspede no quarto (checked-in)');
+    }
+
+    if (reservation.roomId.toString() === roomId.toString()) {
+      throw criarErro(400, 'O quarto de destino é o mesmo da reserva');
+    }
+
+    const quartoAnterior = await Room.findById(reservation.roomId).session(session);
+    const quartoNovo = await Room.findById(roomId).session(session);
+
+    if (!quartoNovo || !quartoNovo.isActive) {
+      throw criarErro(404, 'Quarto de destino não encontrado');
+    }
+
+    // O novo quarto precisa estar livre até o fim da estadia
+    await garantirDisponibilidade({
+      roomId: quartoNovo._id,
+      checkIn: new Date(),
+      checkOut: reservation.checkOut,
+      excluirId: reservation._id,
+      session
+    });
+
+    const resultadoQuarto = await Room.updateOne(
+      { _id: quartoNovo._id, status: 'available' },
+      { $set: { status: 'occupied', updatedBy: usuario._id } },
+      { session }
+    );
+
+    if (resultadoQuarto.matchedCount === 0) {
+      throw criarErro(409, `Quarto ${quartoNovo.number} não está disponível (status: ${quartoNovo.status})`);
+    }
+
+    // Mesmo tratamento do PATCH /api/rooms/:id/status: manutenção registra motivo e início
+    // (linha do tempo dos quartos); limpeza remove os campos de manutenção
+    const atualizacaoAnterior = { $set: { status: statusQuartoAnterior, updatedBy: usuario._id } };
+
+    if (statusQuartoAnterior === 'maintenance') {
+      atualizacaoAnterior.$set.maintenanceReason = motivo;
+      if (quartoAnterior?.status !== 'maintenance') {
+        atualizacaoAnterior.$set.maintenanceSince = new Date();
+      }
+      atualizacaoAnterior.$unset = { cleaningSince: 1 };
+    } else {
+      atualizacaoAnterior.$set.cleaningSince = new Date();
+      atualizacaoAnterior.$unset = { maintenanceReason: 1, maintenanceSince: 1 };
+    }
+
+    await Room.updateOne({ _id: reservation.roomId }, atualizacaoAnterior, { session });
+
+    let diferenca = 0;
+
+    // Quartos do mesmo tipo também podem diferir pelo preço próprio do quarto
+    if (reprecificar && quartoAnterior) {
+      const precificar = (room) => calcularPreco({
+        periodoId: reservation.periodType,
+        room,
+        data: reservation.actualCheckIn || reservation.checkIn,
+        session
+      });
+
+      diferenca = (await precificar(quartoNovo)).preco - (await precificar(quartoAnterior)).preco;
+
+      reservation.aplicarCobranca({
+        type: 'room_transfer',
+        amount: diferenca,
+        description: `Transferência do quarto ${reservation.roomNumber} para o ${quartoNovo.number}`,
+        userId: usuario._id
+      });
+    }
+
+    const pedidos = await Order.updateMany(
+      { roomNumber: reservation.roomNumber, status: { $in: STATUS_PEDIDO_ABERTO } },
+      { $set: { roomNumber: quartoNovo.number } },
+      { session }
+    );
+
+    reservation.auditar({ usuario, motivo, acao: 'room_transfer' });
+    reservation.roomTransfers.push({
+      fromRoomId: reservation.roomId,
+      fromRoomNumber: reservation.roomNumber,
+      toRoomId: quartoNovo._id,
+      toRoomNumber: quartoNovo.number,
+      reason: motivo,
+      previousRoomStatus: statusQuartoAnterior,
+      priceDifference: diferenca,
+      ordersMoved: pedidos.modifiedCount,
+      transferredBy: usuario._id
+    });
+
+    reservation.roomId = quartoNovo._id;
+    reservation.roomNumber = quartoNovo.number;
+    reservation.updatedBy = usuario._id;
+    await reservation.save({ session });
+
+    const fromRoom = await Room.findById(quartoAnterior?._id).session(session);
+    const toRoom = await Room.findById(quartoNovo._id).session(session);
+
+    return { reservation, fromRoom, toRoom, ordersMoved: pedidos.modifiedCount };
+  });
+};
+
+module.exports = {
+  realizarCheckIn,
+  realizarCheckOut,
+  transferirQuarto
+};
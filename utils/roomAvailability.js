@@ -0,0 +1,110 @@
+// utils/roomAvailability.js - QUARTOS VENDÁVEIS PARA UM PERÍODO E HORÁRIO
+const Room = require('../models/Room');
+const RoomType = require('../models/RoomType');
+const { buscarQuartosComConflito } = require('./reservationConflicts');
+const { calcularAgenda, buscarPeriodo } = require('./periodSchedule');
+const { precoDeTabela, calcularPreco } = require('./pricing');
+const { carregarContextoDePreco } = require('./pricingRules');
+const { verificarDisponibilidadeNaData } = require('./holidays');
+const { criarErro } = require('./apiError');
+
+// Check-ins até este limite são vendas imediatas: o quarto precisa estar livre agora
+const JANELA_VENDA_IMEDIATA_MS = 30 * 60 * 1000;
+
+const definirContexto = (inicio) => {
+  const fimDeHoje = new Date();
+  fimDeHoje.setHours(23, 59, 59, 999);
+  return inicio <= fimDeHoje ? 'hoje' : 'agendado';
+};
+
+// ✅ COMBINA TIPOS DISPONÍVEIS, STATUS DOS QUARTOS E RESERVAS EXISTENTES
+const buscarQuartosDisponiveis = async ({ periodoId, inicio = new Date(), tipo = null, contexto = null }) => {
+  const periodo = await buscarPeriodo(periodoId);
+  const checkIn = new Date(inicio);
+  const contextoFinal = contexto || definirContexto(checkIn);
+  // Chegada antes da janela de pernoite / diária é cobrada ou recusada conforme o período
+  const agenda = calcularAgenda(periodo, checkIn);
+  const { checkOut } = agenda;
+
+  // Períodos bloqueados em fins de semana / feriados (Period.disponibilidade)
+  const { disponivel, motivo } = await verificarDisponibilidadeNaData(periodo, checkIn);
+
+  if (!disponivel) {
+    throw criarErro(409, motivo);
+  }
+
+  let roomTypes = await RoomType.findDisponivelParaPeriodo(periodoId, contextoFinal);
+
+  if (tipo && tipo !== 'any') {
+    roomTypes = roomTypes.filter(roomType => roomType.id === tipo);
+  }
+
+  const tiposPorId = new Map(roomTypes.map(roomType => [roomType.id, roomType]));
+
+  const rooms = await Room.find({
+    isActive: true,
+    type: { $in: [...tiposPorId.keys()] },
+    status: { $ne: 'maintenance' }
+  }).sort({ number: 1 });
+
+  const vendaImediata = checkIn.getTime() <= Date.now() + JANELA_VENDA_IMEDIATA_MS;
+
+  // Quarto sem preço para o período não é vendável (não entra com preço padrão)
+  const elegiveis = rooms.filter(room => {
+    if (vendaImediata && room.status !== 'available') return false;
+    return Boolean(precoDeTabela({ periodoId, roomType: tiposPorId.get(room.type), room }));
+  });
+
+  // Reservas sobrepostas, regras de preço e feriado buscados uma vez para todos os quartos
+  const intervaloPorQuarto = new Map(elegiveis.map(room => [
+    room._id.toString(),
+    tiposPorId.get(room.type).configuracao?.intervaloLimpezaMinutos || 0
+  ]));
+
+  const comConflito = await buscarQuartosComConflito({
+    roomIds: elegiveis.map(room => room._id),
+    checkIn,
+    checkOut,
+    intervaloPorQuarto
+  });
+
+  const livres = elegiveis.filter(room => !comConflito.has(room._id.toString()));
+
+  const contextoDePreco = livres.length > 0
+    ? await carregarContextoDePreco({
+      periodoId,
+      roomTypeIds: [...new Set(livres.map(room => room.type))],
+      data: checkIn
+    })
+    : null;
+
+  const candidatos = [];
+
+  for (const room of livres) {
+    const roomType = tiposPorId.get(room.type);
+
+    // Preço de tabela ajustado pelas regras de preço dinâmico do horário de entrada
+    const precificacao = await calcularPreco({ periodo, room, roomType, data: checkIn, contextoDePreco });
+
+    candidatos.push({
+      room,
+      roomType,
+      preco: precificacao.preco,
+      precificacao
+    });
+  }
+
+  return {
+    periodo,
+    contexto: contextoFinal,
+    checkIn,
+    checkOut,
+    agenda,
+    candidatos
+  };
+};
+
+module.exports = {
+  definirContexto,
+  buscarQuartosDisponiveis
+};
@@ -0,0 +1,220 @@
+// utils/roomTimeline.js - LINHA DO TEMPO DOS QUARTOS (GANTT: RESERVAS, LIMPEZA, MANUTENÇÃO E LIVRE)
+const Reservation = require('../models/Reservation');
+const Room = require('../models/Room');
+const RoomType = require('../models/RoomType');
+const { duracaoLimpeza } = require('./waitingList');
+
+const MINUTO_MS = 60 * 1000;
+
+const STATUS_NA_AGENDA = ['pending', 'confirmed', 'checked-in', 'checked-out'];
+
+// ✅ PRIORIDADE NA GRADE: RESERVA > MANUTENÇÃO > LIMPEZA (CADA UMA SÓ OCUPA O ESPAÇO QUE SOBROU)
+const ORDEM_ENCAIXE = ['occupied', 'reserved', 'maintenance', 'cleaning'];
+
+const criarSegmento = (tipo, inicio, fim, extras = {}) => ({
+  tipo,
+  inicio: new Date(inicio),
+  fim: new Date(fim),
+  ...extras
+});
+
+// Partes de um segmento que não colidem com os já posicionados (ordenados e sem sobreposição)
+const recortarLivre = (posicionados, segmento) => {
+  const partes = [];
+  let cursor = segmento.inicio.getTime();
+  const fim = segmento.fim.getTime();
+
+  for (const existente of posicionados) {
+    if (cursor >= fim) break;
+    if (existente.fim.getTime() <= cursor) continue;
+    if (existente.inicio.getTime() >= fim) break;
+
+    if (existente.inicio.getTime() > cursor) {
+      partes.push({ ...segmento, inicio: new Date(cursor), fim: new Date(existente.inicio) });
+    }
+    cursor = Math.max(cursor, existente.fim.getTime());
+  }
+
+  if (cursor < fim) {
+    partes.push({ ...segmento, inicio: new Date(cursor), fim: new Date(fim) });
+  }
+
+  return partes;
+};
+
+const dadosDaReserva = (reserva) => ({
+  reservationId: reserva._id,
+  reservationNumber: reserva.reservationNumber,
+  customerName: reserva.customerName,
+  periodName: reserva.periodName,
+  status: reserva.status
+});
+
+// ✅ SEGMENTOS BRUTOS DE UM QUARTO (ANTES DE RECORTAR E PREENCHER OS VAZIOS)
+const segmentosDoQuarto = (room, reservas, { limpeza, agora, fim }) => {
+  const segmentos = [];
+  const ultimaSaida = reservas
+    .filter(reserva => reserva.status === 'checked-out')
+    .reduce((maior, reserva) => Math.max(maior, (reserva.actualCheckOut || reserva.checkOut).getTime()), 0);
+
+  reservas.forEach(reserva => {
+    let inicio = reserva.checkIn;
+    let saida = reserva.checkOut;
+    let tipo = 'reserved';
+    const extras = dadosDaReserva(reserva);
+
+    if (reserva.status === 'checked-in') {
+      tipo = 'occupied';
+      inicio = reserva.actualCheckIn || reserva.checkIn;
+      // Hóspede além do check-out: o bloco vai até agora
+      saida = new Date(Math.max(reserva.checkOut.getTime(), agora.getTime()));
+      extras.atrasado = agora > reserva.checkOut;
+    } else if (reserva.status === 'checked-out') {
+      tipo = 'occupied';
+      inicio = reserva.actualCheckIn || reserva.checkIn;
+      saida = reserva.actualCheckOut || reserva.checkOut;
+    }
+
+    segmentos.push(criarSegmento(tipo, inicio, saida, extras));
+
+    // Limpeza após a saída: real quando já concluída, prevista nos demais casos
+    const inicioLimpeza = saida.getTime();
+    let fimLimpeza = inicioLimpeza + limpeza;
+    let previsto = true;
+
+    if (reserva.status === 'checked-out' && inicioLimpeza === ultimaSaida) {
+      if (room.status === 'cleaning') {
+        fimLimpeza = Math.max(fimLimpeza, agora.getTime());
+      } else if (room.lastCleaned && room.lastCleaned.getTime() >= inicioLimpeza) {
+        fimLimpeza = room.lastCleaned.getTime();
+        previsto = false;
+      }
+    }
+
+    segmentos.push(criarSegmento('cleaning', inicioLimpeza, fimLimpeza, {
+      reservationId: reserva._id,
+      previsto
+    }));
+  });
+
+  if (room.status === 'maintenance') {
+    segmentos.push(criarSegmento('maintenance', room.maintenanceSince || room.updatedAt, fim, {
+      motivo: room.maintenanceReason || null,
+      emAberto: true
+    }));
+  }
+
+  return segmentos;
+};
+
+// ✅ SEGMENTOS FINAIS: ORDENADOS, SEM SOBREPOSIÇÃO, RECORTADOS NO INTERVALO E COM OS VAZIOS
+const montarLinhaDoQuarto = (segmentos, { inicio, fim }) => {
+  let posicionados = [];
+
+  ORDEM_ENCAIXE.forEach(tipo => {
+    segmentos
+      .filter(segmento => segmento.tipo === tipo)
+      .sort((a, b) => a.inicio - b.inicio)
+      .forEach(segmento => {
+        const recortado = {
+          ...segmento,
+          inicio: new Date(Math.max(segmento.inicio.getTime(), inicio.getTime())),
+          fim: new Date(Math.min(segmento.fim.getTime(), fim.getTime()))
+        };
+        if (recortado.fim <= recortado.inicio) return;
+
+        posicionados = posicionados
+          .concat(recortarLivre(posicionados, recortado))
+          .sort((a, b) => a.inicio - b.inicio);
+      });
+  });
+
+  const livres = recortarLivre(posicionados, criarSegmento('free', inicio, fim));
+
+  return posicionados
+    .concat(livres)
+    .sort((a, b) => a.inicio - b.inicio)
+    .map(segmento => ({
+      ...segmento,
+      minutos: Math.round((segmento.fim - segmento.inicio) / MINUTO_MS)
+    }));
+};
+
+// ✅ LINHA DO TEMPO DE TODOS OS QUARTOS NO INTERVALO
+const montarLinhaDoTempo = async ({ inicio, fim, tipo, andar, agora = new Date() }) => {
+  const filtroQuartos = { isActive: true };
+  if (tipo) filtroQuartos.type = tipo.toLowerCase();
+  if (andar) filtroQuartos.floor = String(andar);
+
+  const rooms = await Room.find(filtroQuartos)
+    .select('number type floor status maintenanceReason maintenanceSince lastCleaned updatedAt')
+    .sort({ number: 1 })
+    .lean();
+
+  const roomTypes = await RoomType.find({ id: { $in: [...new Set(rooms.map(room => room.type))] } }).lean();
+  const tiposPorId = new Map(roomTypes.map(roomType => [roomType.id, roomType]));
+  const maiorLimpeza = Math.max(duracaoLimpeza(null), ...roomTypes.map(duracaoLimpeza));
+
+  // Usa o índice { roomId, checkIn }: check-in antes do fim e saída (prevista ou real) depois do início
+  const inicioBusca = new Date(inicio.getTime() - maiorLimpeza);
+  const reservas = await Reservation.find({
+    roomId: { $in: rooms.map(room => room._id) },
+    checkIn: { $lt: fim },
+    status: { $in: STATUS_NA_AGENDA },
+    $or: [
+      { checkOut: { $gt: inicioBusca } },
+      { actualCheckOut: { $gt: inicioBusca } },
+      { status: 'checked-in' }
+    ]
+  })
+    .select('roomId reservationNumber customerName periodName status checkIn checkOut actualCheckIn actualCheckOut')
+    .sort({ roomId: 1, checkIn: 1 })
+    .lean();
+
+  const reservasPorQuarto = new Map();
+  reservas.forEach(reserva => {
+    const chave = reserva.roomId.toString();
+    if (!reservasPorQuarto.has(chave)) reservasPorQuarto.set(chave, []);
+    reservasPorQuarto.get(chave).push(reserva);
+  });
+
+  const totalMinutos = Math.round((fim - inicio) / MINUTO_MS);
+
+  const linhas = rooms.map(room => {
+    const segmentos = montarLinhaDoQuarto(
+      segmentosDoQuarto(room, reservasPorQuarto.get(room._id.toString()) || [], {
+        limpeza: duracaoLimpeza(tiposPorId.get(room.type)),
+        agora,
+        fim
+      }),
+      { inicio, fim }
+    );
+
+    const minutosOcupados = segmentos
+      .filter(segmento => ['occupied', 'reserved'].includes(segmento.tipo))
+      .reduce((total, segmento) => total + segmento.minutos, 0);
+
+    return {
+      roomId: room._id,
+      number: room.number,
+      type: room.type,
+      floor: room.floor,
+      status: room.status,
+      ocupacaoPercentual: totalMinutos > 0 ? Math.round(minutosOcupados / totalMinutos * 100) : 0,
+      segments: segmentos
+    };
+  });
+
+  return {
+    inicio,
+    fim,
+    agora,
+    totalMinutos,
+    rooms: linhas
+  };
+};
+
+module.exports = {
+  montarLinhaDoQuarto,
+  montarLinhaDoTempo
+};
@@ -0,0 +1,110 @@
+// utils/sequence.js - NUMERAÇÃO SEQUENCIAL ATÔMICA (RESERVAS, PEDIDOS, DOCUMENTOS FISCAIS)
+const Counter = require('../models/Counter');
+
+// Tokens do formato: {prefixo} {AAAA} {AA} {MM} {DD} {seq:N} (N = dígitos com zeros à esquerda)
+// Reinício: 'diario', 'mensal', 'anual' ou 'nunca'
+// Prefixo e formato podem ser sobrescritos por SEQUENCIA_<NOME>_PREFIXO / _FORMATO
+const SEQUENCIAS = {
+  reservation: {
+    prefixo: 'RES',
+    formato: '{prefixo}{AAAA}{MM}{DD}{seq:4}',
+    reinicio: 'diario'
+  },
+  order: {
+    prefixo: 'ORD',
+    formato: '{prefixo}{AA}{MM}{DD}{seq:4}',
+    reinicio: 'diario'
+  },
+  group: {
+    prefixo: 'GRP',
+    formato: '{prefixo}{AA}{MM}{seq:3}',
+    reinicio: 'mensal'
+  }
+};
+
+const partesDaData = (data) => ({
+  AAAA: String(data.getFullYear()),
+  AA: String(data.getFullYear()).slice(-2),
+  MM: String(data.getMonth() + 1).padStart(2, '0'),
+  DD: String(data.getDate()).padStart(2, '0')
+});
+
+const PERIODO_DE_REINICIO = {
+  diario: ({ AAAA, MM, DD }) => `${AAAA}${MM}${DD}`,
+  mensal: ({ AAAA, MM }) => `${AAAA}${MM}`,
+  anual: ({ AAAA }) => AAAA,
+  nunca: () => 'geral'
+};
+
+// ✅ REGISTRA (OU ALTERA) UMA SEQUÊNCIA - EX: NOTAS FISCAIS
+const configurarSequencia = (nome, config) => {
+  SEQUENCIAS[nome] = { ...SEQUENCIAS[nome], ...config };
+};
+
+const obterConfiguracao = (nome) => {
+  const base = SEQUENCIAS[nome];
+
+  if (!base) {
+    throw new Error(`Sequência "${nome}" não configurada`);
+  }
+
+  const variavel = `SEQUENCIA_${nome.toUpperCase()}`;
+
+  return {
+    reinicio: 'diario',
+    ...base,
+    prefixo: process.env[`${variavel}_PREFIXO`] ?? base.prefixo,
+    formato: process.env[`${variavel}_FORMATO`] || base.formato
+  };
+};
+
+const formatarNumero = (formato, { prefixo, partes, seq }) => {
+  return formato
+    .replace('{prefixo}', prefixo)
+    .replace(/\{(AAAA|AA|MM|DD)\}/g, (_, token) => partes[token])
+    .replace(/\{seq(?::(\d+))?\}/, (_, digitos) => String(seq).padStart(parseInt(digitos) || 1, '0'));
+};
+
+// ✅ PRÓXIMO NÚMERO DA SEQUÊNCIA
+// Com session, o incremento participa da transação: se ela abortar, o número
+// volta para o contador e a numeração não fica com buracos.
+const proximoNumero = async (nome, { data = new Date(), session = null } = {}) => {
+  const config = obterConfiguracao(nome);
+  const partes = partesDaData(data);
+  const chave = `${nome}:${PERIODO_DE_REINICIO[config.reinicio](partes)}`;
+
+  const incrementar = () => Counter.findOneAndUpdate(
+    { _id: chave },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, session }
+  );
+
+  let contador;
+  try {
+    contador = await incrementar();
+  } catch (error) {
+    // Dois upserts simultâneos no primeiro número do período: o perdedor recebe 11000.
+    if (error.code !== 11000) throw error;
+
+    // Dentro de uma transação o erro aborta a sessão: marcado como transitório,
+    // o withTransaction (utils/transaction.js) repete a transação inteira.
+    if (session) {
+      error.addErrorLabel?.('TransientTransactionError');
+      throw error;
+    }
+
+    contador = await incrementar();
+  }
+
+  return formatarNumero(config.formato, {
+    prefixo: config.prefixo,
+    partes,
+    seq: contador.seq
+  });
+};
+
+module.exports = {
+  configurarSequencia,
+  formatarNumero,
+  proximoNumero
+};
@@ -0,0 +1,25 @@
+// utils/transaction.js - EXECUÇÃO DE OPERAÇÕES EM TRANSAÇÃO DO MONGODB
+const mongoose = require('mongoose');
+
+// ✅ EXECUTA A OPERAÇÃO EM UMA TRANSAÇÃO E RETORNA O RESULTADO
+// withTransaction repete a operação em erros transitórios (ex: WriteConflict),
+// por isso a operação deve ler tudo novamente a partir da sessão recebida.
+const comTransacao = async (operacao) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let resultado;
+
+    await session.withTransaction(async () => {
+      resultado = await operacao(session);
+    });
+
+    return resultado;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  comTransacao
+};
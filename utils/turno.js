@@ -0,0 +1,147 @@
+// utils/turno.js - TURNO ABERTO E CONFERÊNCIA DE CAIXA
+const Turno = require('../models/Turno');
+const Reservation = require('../models/Reservation');
+const Order = require('../models/Order');
+const { criarErro } = require('./apiError');
+
+const arredondar = (valor) => Math.round(valor * 100) / 100;
+
+const CAMPO_POR_FORMA_PEDIDO = {
+  cash: 'dinheiro',
+  credit_card: 'cartao',
+  debit_card: 'cartao',
+  pix: 'pix'
+};
+
+// ✅ turnoInfo DO TURNO ABERTO (null quando não há turno aberto)
+const buscarTurnoInfoAtual = async (session = null) => {
+  const turno = await Turno.findAberto().session(session);
+  return turno ? turno.getTurnoInfo() : null;
+};
+
+// ✅ TOTAIS ESPERADOS NO CAIXA POR FORMA DE PAGAMENTO
+// Reservas: livro de pagamentos lançado no turno. Pedidos pagos fora da conta do quarto:
+// contam no turno do pagamento (paymentInfo.turnoInfo), não no turno em que foram lançados.
+const calcularTotaisEsperados = async (turno) => {
+  const turnoId = turno._id.toString();
+
+  const { faturamento, quantidade } = await Reservation.getReservasPorTurno(turnoId);
+
+  const pedidos = await Order.find({
+    'turnoInfo.turnoId': turnoId,
+    status: { $ne: 'cancelled' }
+  });
+
+  const pedidosPagos = await Order.find({
+    'paymentInfo.method': { $ne: 'room_charge' },
+    'paymentInfo.status': 'paid',
+    status: { $ne: 'cancelled' },
+    $or: [
+      { 'paymentInfo.turnoInfo.turnoId': turnoId },
+      // Pagos antes do registro do turno do pagamento: pelo horário do pagamento
+      {
+        'paymentInfo.turnoInfo.turnoId': null,
+        'paymentInfo.paidAt': { $gte: turno.abertoEm, $lte: turno.fechadoEm || new Date() }
+      }
+    ]
+  });
+
+  const totais = { ...faturamento };
+
+  const consumoNoQuarto = pedidos
+    .filter(pedido => pedido.paymentInfo.method === 'room_charge')
+    .reduce((soma, pedido) => soma + pedido.pricing.total, 0);
+
+  pedidosPagos.forEach(pedido => {
+    totais[CAMPO_POR_FORMA_PEDIDO[pedido.paymentInfo.method]] += pedido.pricing.total;
+    totais.total += pedido.pricing.total;
+  });
+
+  Object.keys(totais).forEach(campo => {
+    totais[campo] = arredondar(totais[campo]);
+  });
+
+  return {
+    totais,
+    reservas: quantidade,
+    pedidos: pedidos.length,
+    pedidosPagos: pedidosPagos.length,
+    consumoNoQuarto: arredondar(consumoNoQuarto)
+  };
+};
+
+// ✅ ABRE UM TURNO (SÓ PODE HAVER UM ABERTO)
+const abrirTurno = async ({ nome, fundoInicial = 0 }, usuario) => {
+  const aberto = await Turno.findAberto();
+
+  if (aberto) {
+    throw criarErro(409, `Já existe um turno aberto (${aberto.nome} - ${aberto.funcionarioNome})`, {
+      turno: aberto
+    });
+  }
+
+  const turno = new Turno({
+    nome,
+    fundoInicial,
+    funcionarioId: usuario._id,
+    funcionarioNome: usuario.nomeCompleto
+  });
+
+  try {
+    await turno.save();
+  } catch (error) {
+    // Índice único parcial: outro turno foi aberto ao mesmo tempo
+    if (error.code === 11000) {
+      throw criarErro(409, 'Já existe um turno aberto');
+    }
+    throw error;
+  }
+
+  return turno;
+};
+
+// ✅ FECHA O TURNO: GRAVA OS TOTAIS ESPERADOS E A DIFERENÇA DO DINHEIRO CONTADO
+const fecharTurno = async (turnoId, { dinheiroContado, observacoes }, usuario) => {
+  const turno = await Turno.findById(turnoId);
+
+  if (!turno) {
+    throw criarErro(404, 'Turno não encontrado');
+  }
+
+  if (turno.status !== 'aberto') {
+    throw criarErro(409, 'Turno já está fechado');
+  }
+
+  const resumo = await calcularTotaisEsperados(turno);
+  const dinheiroEsperado = arredondar(turno.fundoInicial + resumo.totais.dinheiro);
+
+  const fechamento = {
+    status: 'fechado',
+    fechadoEm: new Date(),
+    fechadoPor: usuario._id,
+    totaisEsperados: resumo.totais,
+    dinheiroContado,
+    diferenca: arredondar(dinheiroContado - dinheiroEsperado)
+  };
+  if (observacoes !== undefined) fechamento.observacoes = observacoes;
+
+  // Fecha só se ainda estiver aberto: dois fechamentos simultâneos não sobrescrevem a conferência
+  const fechado = await Turno.findOneAndUpdate(
+    { _id: turno._id, status: 'aberto' },
+    { $set: fechamento },
+    { new: true, runValidators: true }
+  );
+
+  if (!fechado) {
+    throw criarErro(409, 'Turno já foi fechado por outra operação');
+  }
+
+  return { turno: fechado, resumo, dinheiroEsperado };
+};
+
+module.exports = {
+  buscarTurnoInfoAtual,
+  calcularTotaisEsperados,
+  abrirTurno,
+  fecharTurno
+};
@@ -0,0 +1,206 @@
+// utils/waitingList.js - PREVISÃO DE ESPERA E OFERTA AUTOMÁTICA DE QUARTOS PARA A FILA
+const WaitingListEntry = require('../models/WaitingListEntry');
+const Reservation = require('../models/Reservation');
+const Room = require('../models/Room');
+const RoomType = require('../models/RoomType');
+const { criarErro } = require('./apiError');
+const { realizarWalkIn } = require('./walkIn');
+
+const MINUTO_MS = 60 * 1000;
+
+// Duração típica da limpeza quando o tipo de quarto não define intervaloLimpezaMinutos
+const TEMPO_LIMPEZA_PADRAO_MINUTOS = parseInt(process.env.TEMPO_LIMPEZA_PADRAO_MINUTOS) || 30;
+
+// Tempo que o cliente da fila tem para assumir o quarto oferecido
+const VALIDADE_OFERTA_MINUTOS = parseInt(process.env.FILA_VALIDADE_OFERTA_MINUTOS) || 10;
+
+const duracaoLimpeza = (roomType) => {
+  return (roomType?.configuracao?.intervaloLimpezaMinutos || TEMPO_LIMPEZA_PADRAO_MINUTOS) * MINUTO_MS;
+};
+
+// ✅ PREVISÃO DE LIBERAÇÃO DE CADA QUARTO (CHECK-OUT + LIMPEZA)
+const preverLiberacoes = async (agora = new Date()) => {
+  const rooms = await Room.find({
+    isActive: true,
+    status: { $in: ['available', 'occupied', 'cleaning'] }
+  });
+
+  const roomTypes = await RoomType.find({ id: { $in: [...new Set(rooms.map(room => room.type))] } });
+  const tiposPorId = new Map(roomTypes.map(roomType => [roomType.id, roomType]));
+
+  const estadias = await Reservation.find({
+    roomId: { $in: rooms.map(room => room._id) },
+    status: 'checked-in'
+  }).select('roomId checkOut');
+  const saidaPorQuarto = new Map(estadias.map(estadia => [estadia.roomId.toString(), estadia.checkOut]));
+
+  return rooms
+    .map(room => {
+      const limpeza = duracaoLimpeza(tiposPorId.get(room.type));
+      let liberacao = agora;
+
+      if (room.status === 'occupied') {
+        // Check-out vencido: o quarto pode liberar a qualquer momento
+        const saida = saidaPorQuarto.get(room._id.toString()) || agora;
+        liberacao = new Date(Math.max(saida.getTime(), agora.getTime()) + limpeza);
+      } else if (room.status === 'cleaning') {
+        // Quartos em limpeza antes do registro de cleaningSince: última alteração do quarto
+        const inicioLimpeza = room.cleaningSince || room.updatedAt;
+        liberacao = new Date(Math.max(inicioLimpeza.getTime() + limpeza, agora.getTime()));
+      }
+
+      return { room, liberacao };
+    })
+    .sort((a, b) => a.liberacao - b.liberacao);
+};
+
+// Distribui as liberações previstas pela fila, na ordem de chegada
+const distribuirLiberacoes = (entradas, liberacoes, agora) => {
+  const reservados = new Set(
+    entradas
+      .filter(entrada => entrada.status === 'oferecido')
+      .map(entrada => entrada.quartoOferecido.roomId.toString())
+  );
+
+  return entradas.map((entrada, indice) => {
+    if (entrada.status === 'oferecido') {
+      return {
+        entrada,
+        posicao: indice + 1,
+        roomNumber: entrada.quartoOferecido.roomNumber,
+        previsaoEm: agora,
+        esperaMinutos: 0
+      };
+    }
+
+    const vaga = liberacoes.find(liberacao =>
+      !reservados.has(liberacao.room._id.toString()) && entrada.aceitaTipo(liberacao.room.type)
+    );
+
+    if (vaga) reservados.add(vaga.room._id.toString());
+
+    return {
+      entrada,
+      posicao: indice + 1,
+      roomNumber: vaga ? vaga.room.number : null,
+      previsaoEm: vaga ? vaga.liberacao : null,
+      esperaMinutos: vaga ? Math.max(0, Math.ceil((vaga.liberacao - agora) / MINUTO_MS)) : null
+    };
+  });
+};
+
+// ✅ FILA ATIVA COM A PREVISÃO DE ESPERA DE CADA ENTRADA
+const estimarFila = async (agora = new Date()) => {
+  await expirarOfertas(agora);
+
+  const entradas = await WaitingListEntry.findFilaAtiva();
+  const liberacoes = await preverLiberacoes(agora);
+
+  return distribuirLiberacoes(entradas, liberacoes, agora);
+};
+
+// ✅ PREVISÃO PARA QUEM AINDA VAI ENTRAR NA FILA
+const estimarNovaEntrada = async ({ tipo = 'any', periodoId }, agora = new Date()) => {
+  await expirarOfertas(agora);
+
+  const entradas = await WaitingListEntry.findFilaAtiva();
+  const liberacoes = await preverLiberacoes(agora);
+  const simulada = new WaitingListEntry({ customerName: '-', tipo, periodoId });
+
+  const fila = distribuirLiberacoes([...entradas, simulada], liberacoes, agora);
+  return fila[fila.length - 1];
+};
+
+// ✅ OFERECE O QUARTO RECÉM-LIMPO À PRIMEIRA ENTRADA COMPATÍVEL
+const oferecerQuarto = async (room, agora = new Date()) => {
+  const jaOferecido = await WaitingListEntry.findOne({
+    'quartoOferecido.roomId': room._id,
+    status: 'oferecido'
+  });
+
+  if (jaOferecido) return jaOferecido;
+
+  const entrada = await WaitingListEntry.findOneAndUpdate(
+    { status: 'aguardando', tipo: { $in: ['any', room.type] } },
+    {
+      $set: {
+        status: 'oferecido',
+        quartoOferecido: {
+          roomId: room._id,
+          roomNumber: room.number,
+          oferecidoEm: agora,
+          expiraEm: new Date(agora.getTime() + VALIDADE_OFERTA_MINUTOS * MINUTO_MS)
+        }
+      }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+
+  if (entrada) {
+    console.log(`📣 Quarto ${room.number} oferecido para ${entrada.customerName} (fila de espera)`);
+  }
+
+  return entrada;
+};
+
+// ✅ OFERTAS VENCIDAS: ENTRADA SAI DA FILA E O QUARTO VAI PARA O PRÓXIMO
+const expirarOfertas = async (agora = new Date()) => {
+  const vencidas = await WaitingListEntry.find({
+    status: 'oferecido',
+    'quartoOferecido.expiraEm': { $lt: agora }
+  });
+
+  for (const entrada of vencidas) {
+    entrada.status = 'expirado';
+    await entrada.save();
+
+    const room = await Room.findById(entrada.quartoOferecido.roomId);
+    if (room && room.status === 'available') {
+      await oferecerQuarto(room, agora);
+    }
+  }
+
+  return vencidas.length;
+};
+
+// ✅ CLIENTE ACEITOU: WALK-IN NO QUARTO OFERECIDO
+const aceitarOferta = async (entradaId, dadosPagamento, usuario) => {
+  await expirarOfertas();
+
+  const entrada = await WaitingListEntry.findById(entradaId);
+
+  if (!entrada) {
+    throw criarErro(404, 'Entrada da fila não encontrada');
+  }
+
+  if (entrada.status !== 'oferecido') {
+    throw criarErro(400, `Entrada com status "${entrada.status}" não possui quarto oferecido`);
+  }
+
+  const resultado = await realizarWalkIn({
+    ...dadosPagamento,
+    periodoId: entrada.periodoId,
+    quartoId: entrada.quartoOferecido.roomId,
+    customerId: entrada.customerId,
+    customerName: entrada.customerName,
+    customerPhone: entrada.customerPhone
+  }, usuario);
+
+  entrada.status = 'atendido';
+  entrada.reservationId = resultado.reservation._id;
+  entrada.atendidoEm = new Date();
+  entrada.atualizadoPor = usuario._id;
+  await entrada.save();
+
+  return { ...resultado, entrada };
+};
+
+module.exports = {
+  duracaoLimpeza,
+  preverLiberacoes,
+  estimarFila,
+  estimarNovaEntrada,
+  oferecerQuarto,
+  expirarOfertas,
+  aceitarOferta
+};
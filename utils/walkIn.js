@@ -0,0 +1,196 @@
+// utils/walkIn.js - CHECK-IN RÁPIDO DE CLIENTE SEM RESERVA (CONTEXTO "HOJE")
+const Reservation = require('../models/Reservation');
+const Room = require('../models/Room');
+const Customer = require('../models/Customer');
+const WaitingListEntry = require('../models/WaitingListEntry');
+const { comTransacao } = require('./transaction');
+const { criarErro } = require('./apiError');
+const { garantirDisponibilidade } = require('./reservationConflicts');
+const { buscarQuartosDisponiveis } = require('./roomAvailability');
+const { cobrarChegadaAntecipada } = require('./periodSchedule');
+const { aplicarCupomReserva } = require('./coupons');
+const { lancarPagamentosIniciais } = require('./folio');
+const { buscarTurnoInfoAtual } = require('./turno');
+const { aplicarHospedes, capacidadeDoQuarto } = require('./guests');
+
+// Quantos quartos tentar quando outro atendente ocupa o escolhido ao mesmo tempo
+const MAX_TENTATIVAS = 3;
+
+// ✅ ORDENA OS CANDIDATOS: TIPO FAVORITO DO CLIENTE, ANDAR PREFERIDO, LIMPO HÁ MAIS TEMPO
+const ordenarCandidatos = (candidatos, { tipoFavorito = null, andarPreferido = null } = {}) => {
+  const pontuar = ({ room }) => [
+    tipoFavorito && room.type === tipoFavorito ? 0 : 1,
+    andarPreferido !== null && room.floor === andarPreferido ? 0 : 1,
+    room.lastCleaned ? room.lastCleaned.getTime() : 0
+  ];
+
+  return [...candidatos].sort((a, b) => {
+    const [pa, pb] = [pontuar(a), pontuar(b)];
+    for (let i = 0; i < pa.length; i++) {
+      if (pa[i] !== pb[i]) return pa[i] - pb[i];
+    }
+    return a.room.number.localeCompare(b.room.number, undefined, { numeric: true });
+  });
+};
+
+// Cria a reserva já em checked-in e ocupa o quarto na mesma transação
+const ocuparQuarto = (candidato, { periodo, checkIn, checkOut, agenda, dados, usuario }) => {
+  const { room, roomType, preco, precificacao } = candidato;
+
+  return comTransacao(async (session) => {
+    await garantirDisponibilidade({
+      roomId: room._id,
+      checkIn,
+      checkOut,
+      session,
+      intervaloLimpezaMinutos: roomType.configuracao?.intervaloLimpezaMinutos || 0
+    });
+
+    const resultadoQuarto = await Room.updateOne(
+      { _id: room._id, status: 'available' },
+      { $set: { status: 'occupied', updatedBy: usuario._id } },
+      { session }
+    );
+
+    if (resultadoQuarto.matchedCount === 0) {
+      throw criarErro(409, `Quarto ${room.number} não está mais disponível`);
+    }
+
+    const reservation = new Reservation({
+      customerName: dados.customerName,
+      customerPhone: dados.customerPhone,
+      customerId: dados.customerId,
+      roomId: room._id,
+      roomNumber: room.number,
+      checkIn,
+      checkOut,
+      periodType: periodo.id,
+      periodName: periodo.nome,
+      contexto: 'hoje',
+      origem: 'walk-in',
+      basePrice: preco,
+      totalPrice: preco,
+      appliedPricingRules: precificacao?.regras || [],
+      status: 'checked-in',
+      actualCheckIn: checkIn,
+      checkedInBy: usuario._id,
+      paymentMethod: dados.paymentMethod,
+      paymentStatus: 'pending',
+      notes: dados.notes,
+      turnoInfo: dados.turnoInfo,
+      createdBy: usuario._id,
+      updatedBy: usuario._id
+    });
+
+    reservation.auditar({ usuario, acao: 'create:walk-in' });
+
+    await aplicarHospedes(reservation, {
+      guestCount: dados.guestCount,
+      companions: dados.companions
+    }, { room, roomType, usuario, session });
+
+    cobrarChegadaAntecipada(reservation, agenda, usuario);
+
+    if (dados.couponCode) {
+      await aplicarCupomReserva(reservation, dados.couponCode, { room, usuario, session });
+    }
+
+    // Só lança o que foi recebido no balcão (pagamentos ou paymentStatus 'paid');
+    // sem dados de pagamento a conta fica pendente para a saída
+    await lancarPagamentosIniciais(reservation, {
+      pagamentos: dados.pagamentos,
+      paymentStatus: dados.paymentStatus
+    }, usuario, session);
+
+    await reservation.save({ session });
+
+    const quarto = await Room.findById(room._id).session(session);
+
+    return { reservation, room: quarto };
+  });
+};
+
+// Quartos oferecidos à fila de espera ficam fora da venda direta
+const buscarQuartosEmOferta = async () => {
+  const ofertas = await WaitingListEntry.find({ status: 'oferecido' }).select('quartoOferecido.roomId');
+  return new Set(ofertas.map(oferta => oferta.quartoOferecido.roomId.toString()));
+};
+
+// ✅ WALK-IN: ESCOLHE O QUARTO, PRECIFICA, CRIA A RESERVA EM CHECKED-IN E OCUPA O QUARTO
+// quartoId força o quarto (cliente da fila de espera aceitando a oferta)
+const realizarWalkIn = async ({ tipo = 'any', periodoId, andarPreferido = null, customerId = null, quartoId = null, ...dados }, usuario) => {
+  const customer = customerId ? await Customer.findById(customerId) : null;
+
+  if (customerId && !customer) {
+    throw criarErro(404, 'Cliente não encontrado');
+  }
+
+  const { periodo, checkIn, checkOut, agenda, candidatos } = await buscarQuartosDisponiveis({
+    periodoId,
+    inicio: new Date(),
+    tipo,
+    contexto: 'hoje'
+  });
+
+  const emOferta = await buscarQuartosEmOferta();
+
+  const hospedes = Number(dados.guestCount) || 1;
+
+  const comPreco = candidatos.filter(candidato => {
+    const id = candidato.room._id.toString();
+    const liberado = quartoId ? id === quartoId.toString() : !emOferta.has(id);
+    const comporta = capacidadeDoQuarto(candidato.room, candidato.roomType) >= hospedes;
+    return liberado && comporta && candidato.preco > 0;
+  });
+
+  if (quartoId && comPreco.length === 0) {
+    throw criarErro(409, 'O quarto oferecido não está mais disponível para este período');
+  }
+
+  if (comPreco.length === 0) {
+    throw criarErro(409, candidatos.length > 0
+      ? `Nenhum quarto disponível com preço definido para ${hospedes} hóspede(s) no período ${periodo.nome}`
+      : `Nenhum quarto ${tipo === 'any' ? '' : `do tipo ${tipo} `}disponível para ${periodo.nome}`);
+  }
+
+  const ordenados = ordenarCandidatos(comPreco, {
+    tipoFavorito: tipo === 'any' ? customer?.preferences?.favoriteRoomType : null,
+    andarPreferido
+  });
+
+  const dadosReserva = {
+    ...dados,
+    customerId: customer?._id || null,
+    customerName: customer?.name || dados.customerName || undefined,
+    customerPhone: customer?.phone || dados.customerPhone,
+    turnoInfo: dados.turnoInfo || await buscarTurnoInfoAtual()
+  };
+
+  let ultimoErro = null;
+
+  for (const candidato of ordenados.slice(0, MAX_TENTATIVAS)) {
+    try {
+      const resultado = await ocuparQuarto(candidato, {
+        periodo,
+        checkIn,
+        checkOut,
+        agenda,
+        dados: dadosReserva,
+        usuario
+      });
+
+      return { ...resultado, periodo, roomType: candidato.roomType };
+    } catch (error) {
+      // Quarto tomado por outra venda: tenta o próximo da lista
+      if (error.status !== 409) throw error;
+      ultimoErro = error;
+    }
+  }
+
+  throw ultimoErro;
+};
+
+module.exports = {
+  ordenarCandidatos,
+  realizarWalkIn
+};